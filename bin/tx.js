@@ -3,10 +3,13 @@
 import { Command } from 'commander';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
-import { spawn } from 'child_process';
-import { homedir } from 'os';
-import { readdir, readFile, writeFile, unlink, rename, mkdir } from 'fs/promises';
-import { existsSync } from 'fs';
+import YAML from 'yaml';
+import { spawn, spawnSync } from 'child_process';
+import { homedir, tmpdir } from 'os';
+import { readdir, readFile, writeFile, unlink, rename, mkdir, chmod, mkdtemp, rm } from 'fs/promises';
+import { existsSync, readFileSync } from 'fs';
+import { createConnection } from 'net';
+import { setTimeout as sleep } from 'timers/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -15,6 +18,7 @@ const __dirname = path.dirname(__filename);
 
 const SCRIPT_DIR = path.join(homedir(), '.tmux-scripts');
 const CONFIG_DIR = path.join(homedir(), '.tmux-cli-configs');
+const USAGE_FILE = path.join(CONFIG_DIR, '.usage');
 
 // Read package.json for version
 const packageJsonPath = path.join(__dirname, '..', 'package.json');
@@ -22,6 +26,15 @@ const packageJson = JSON.parse(await readFile(packageJsonPath, 'utf-8'));
 
 const program = new Command();
 
+// NO_COLOR (https://no-color.org) 가 설정되어 있으면 색 없이 출력 (파이프 출력은 chalk 가 알아서 끔)
+if (process.env.NO_COLOR) chalk.level = 0;
+
+// head 처럼 출력을 일찍 닫는 파이프에서는 조용히 종료
+process.stdout.on('error', (err) => {
+  if (err.code === 'EPIPE') process.exit(0);
+  throw err;
+});
+
 // Ensure required directories exist
 async function ensureDirectories() {
   try {
@@ -67,6 +80,50 @@ function openEditor(filePath) {
   });
 }
 
+// 설정 JSON 을 에디터로 편집 (임시 파일에서 편집 후 검사 통과 시에만 저장)
+// 잘못되면 오류를 // 주석으로 파일 맨 위에 붙여 다시 열고, 그대로 닫으면 취소
+// 결과: 'updated' | 'unchanged' | 'discarded'
+async function editConfigFile(workspace) {
+  const configPath = path.join(CONFIG_DIR, `${workspace}.json`);
+  const original = await readFile(configPath, 'utf-8');
+  const tempDir = await mkdtemp(path.join(tmpdir(), 'tx-'));
+  const tempPath = path.join(tempDir, `${workspace}.json`);
+
+  try {
+    let content = original;
+
+    while (true) {
+      await writeFile(tempPath, content);
+      await openEditor(tempPath);
+
+      const edited = await readFile(tempPath, 'utf-8');
+      if (edited === content) return content === original ? 'unchanged' : 'discarded';
+
+      const json = edited.split('\n').filter(line => !line.startsWith('//')).join('\n');
+      if (json.trim() === original.trim()) return 'unchanged';
+
+      try {
+        const config = migrateConfig(JSON.parse(json));
+        if (config.name !== workspace) {
+          throw new Error(`name: must stay "${workspace}" (use tx rename to rename a workspace)`);
+        }
+        assertValidConfig(config, `${workspace}.json`);
+
+        await saveScript(workspace, config);
+        await saveConfig(workspace, config);
+        return 'updated';
+      } catch (err) {
+        console.error(chalk.red(`\n❌ ${err.message}`));
+        console.log(chalk.gray('Reopening the editor; close it without changes to discard your edits.'));
+        const header = err.message.split('\n').map(line => `// ${line}`).join('\n');
+        content = `${header}\n${json}`;
+      }
+    }
+  } finally {
+    await rm(tempDir, { recursive: true, force: true });
+  }
+}
+
 // 워크스페이스 목록 가져오기
 async function getWorkspaces() {
   try {
@@ -77,516 +134,4639 @@ async function getWorkspaces() {
   }
 }
 
-// 워크스페이스 설정 저장
-async function saveConfig(name, config) {
+// 워크스페이스 설정 저장 (검사 후 현재 스키마 버전으로)
+// 저장할 때마다 버전 기록에 스냅샷을 남김 (기록이 없으면 덮어쓰기 전 설정도)
+async function saveConfig(name, config, event) {
+  assertValidConfig(config);
+
   if (!existsSync(CONFIG_DIR)) {
     await writeFile(path.join(CONFIG_DIR, '.gitkeep'), '');
   }
-  await writeFile(
-    path.join(CONFIG_DIR, `${name}.json`),
-    JSON.stringify(config, null, 2)
-  );
+
+  const file = path.join(CONFIG_DIR, `${name}.json`);
+  const exists = existsSync(file);
+  if (exists && (await listSnapshots(name)).length === 0) {
+    const previous = await loadConfig(name).catch(() => null);
+    if (previous) await recordSnapshot(name, withSchemaVersion(previous), 'original');
+  }
+
+  const saved = withSchemaVersion(config);
+  await writeFile(file, JSON.stringify(saved, null, 2));
+  await recordSnapshot(name, saved, event || (exists ? 'updated' : 'created'));
+}
+
+// 워크스페이스 스크립트 저장 (실행 권한 포함)
+async function saveScript(name, config) {
+  assertValidConfig(config);
+
+  const scriptPath = path.join(SCRIPT_DIR, `${name}.sh`);
+  await writeFile(scriptPath, generateScript(config));
+  await chmod(scriptPath, 0o755);
 }
 
-// 워크스페이스 설정 불러오기
+// 워크스페이스 설정 불러오기 (없으면 null, 깨졌거나 스키마에 맞지 않으면 에러)
 async function loadConfig(name) {
+  const file = path.join(CONFIG_DIR, `${name}.json`);
+
+  let content;
   try {
-    const content = await readFile(path.join(CONFIG_DIR, `${name}.json`), 'utf-8');
-    return JSON.parse(content);
+    content = await readFile(file, 'utf-8');
   } catch {
     return null;
   }
+
+  let config;
+  try {
+    config = migrateConfig(JSON.parse(content));
+  } catch (err) {
+    throw new Error(`Invalid config in ${file}: ${err.message}`);
+  }
+
+  assertValidConfig(config, file);
+  return config;
+}
+
+// 설정 이름 목록 (.json)
+async function getConfigNames() {
+  try {
+    const files = await readdir(CONFIG_DIR);
+    return files.filter(f => f.endsWith('.json')).map(f => f.replace('.json', ''));
+  } catch {
+    return [];
+  }
 }
 
-// Bash 스크립트 생성
-function generateScript(config) {
-  const { name, baseDir, panes } = config;
+// 스크립트가 설정으로 생성한 내용과 다른지 (직접 수정되었는지)
+async function isScriptDrifted(name, config) {
+  try {
+    const content = await readFile(path.join(SCRIPT_DIR, `${name}.sh`), 'utf-8');
+    return content !== generateScript(config);
+  } catch {
+    return false;
+  }
+}
 
-  let script = `#!/bin/bash
-SESSION="${name}"
-BASE_DIR=${baseDir}
+// 마지막 사용 시각 기록 (키: 워크스페이스 이름 또는 프로젝트 파일 경로)
+async function readUsage() {
+  try {
+    return JSON.parse(await readFile(USAGE_FILE, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
 
-tmux has-session -t $SESSION 2>/dev/null && tmux attach -t $SESSION && exit
+async function recordUsage(key) {
+  const usage = await readUsage();
+  usage[key] = new Date().toISOString();
+  await writeFile(USAGE_FILE, JSON.stringify(usage, null, 2)).catch(() => {});
+}
 
-tmux new-session -d -s $SESSION -c $BASE_DIR
-`;
+// ── 버전 기록과 휴지통 ──
 
-  // 첫 번째 패널은 이미 생성되어 있으므로 스킵
-  for (let i = 1; i < panes.length; i++) {
-    const pane = panes[i];
-    const dir = pane.directory || '$BASE_DIR';
+const HISTORY_DIR = path.join(CONFIG_DIR, '.history');
+const TRASH_DIR = path.join(CONFIG_DIR, '.trash');
 
-    if (pane.split === 'horizontal') {
-      script += `\ntmux split-window -h -c ${dir}`;
-    } else {
-      script += `\ntmux split-window -v -c ${dir}`;
+// 워크스페이스마다 남길 버전 수, 휴지통 보관 기간 (일, 0 이면 비우기 전까지 보관)
+const HISTORY_LIMIT = Number(process.env.TX_HISTORY_LIMIT) || 50;
+const TRASH_DAYS = Number(process.env.TX_TRASH_DAYS ?? 30);
+
+// 파일 이름으로 쓸 수 있는 시각 ("2026-10-19T12-30-05-123Z") 과 그 역변환
+function timestampId(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+function parseTimestampId(id) {
+  return new Date(id.replace(/T(\d\d)-(\d\d)-(\d\d)-(\d+)Z$/, 'T$1:$2:$3.$4Z'));
+}
+
+// 사람이 읽는 시각 ("2026-10-19 21:30")
+function formatTime(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+// 워크스페이스의 버전 목록 (오래된 것부터, version 은 1 부터)
+async function listSnapshots(name) {
+  let files;
+  try {
+    files = (await readdir(path.join(HISTORY_DIR, name))).filter(f => f.endsWith('.json')).sort();
+  } catch {
+    return [];
+  }
+
+  const snapshots = [];
+  for (const file of files) {
+    try {
+      const snapshot = JSON.parse(await readFile(path.join(HISTORY_DIR, name, file), 'utf-8'));
+      snapshots.push({ id: file.replace('.json', ''), ...snapshot });
+    } catch {
+      // 깨진 스냅샷은 건너뜀
     }
   }
+  return snapshots.map((snapshot, i) => ({ version: i + 1, ...snapshot }));
+}
 
-  // 패널 크기 조정
-  panes.forEach((pane, i) => {
-    if (pane.resize) {
-      script += `\n\ntmux select-pane -t ${i}`;
-      if (pane.resize.type === 'width') {
-        script += `\ntmux resize-pane -x ${pane.resize.value}`;
-      } else if (pane.resize.type === 'height') {
-        script += `\ntmux resize-pane -y ${pane.resize.value}`;
-      }
+// 스냅샷 저장 (마지막 버전과 같으면 건너뛰고, 오래된 버전은 HISTORY_LIMIT 까지만)
+async function recordSnapshot(name, config, event) {
+  const dir = path.join(HISTORY_DIR, name);
+  const snapshots = await listSnapshots(name);
+  const last = snapshots[snapshots.length - 1];
+
+  if (last && event === 'updated' && JSON.stringify(last.config) === JSON.stringify(config)) return;
+
+  await mkdir(dir, { recursive: true });
+  const time = new Date();
+  await writeFile(
+    path.join(dir, `${timestampId(time)}.json`),
+    JSON.stringify({ time: time.toISOString(), event, config }, null, 2)
+  );
+
+  for (const old of snapshots.slice(0, Math.max(0, snapshots.length + 1 - HISTORY_LIMIT))) {
+    await unlink(path.join(dir, `${old.id}.json`)).catch(() => {});
+  }
+}
+
+// "3" (버전 번호) 또는 스냅샷 id 로 버전 찾기
+function findSnapshot(snapshots, ref, name) {
+  const snapshot = /^\d+$/.test(ref)
+    ? snapshots.find(s => s.version === Number(ref))
+    : snapshots.find(s => s.id === ref);
+  if (!snapshot) throw new Error(`No version "${ref}" of "${name}" (see tx history ${name})`);
+  return snapshot;
+}
+
+// 줄 단위 diff (LCS), 바뀐 곳 주변 context 줄만 출력
+function diffLines(before, after, context = 3) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
     }
-  });
+  }
 
-  // 명령어 실행
-  panes.forEach((pane, i) => {
-    if (pane.command) {
-      script += `\ntmux send-keys -t ${i} '${pane.command}' C-m`;
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: ' ', text: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push({ type: '-', text: a[i++] });
+    } else {
+      lines.push({ type: '+', text: b[j++] });
     }
+  }
+
+  const near = lines.map((line, k) => (
+    lines.slice(Math.max(0, k - context), k + context + 1).some(other => other.type !== ' ')
+  ));
+
+  const output = [];
+  lines.forEach((line, k) => {
+    if (!near[k]) {
+      if (output[output.length - 1] !== chalk.cyan('...')) output.push(chalk.cyan('...'));
+      return;
+    }
+    if (line.type === '+') output.push(chalk.green(`+ ${line.text}`));
+    else if (line.type === '-') output.push(chalk.red(`- ${line.text}`));
+    else output.push(chalk.gray(`  ${line.text}`));
   });
+  return output.join('\n');
+}
 
-  script += `\n\ntmux select-pane -t 0\ntmux attach -t $SESSION\n`;
+// 휴지통 항목 (최근 것부터): .trash/<name>@<timestamp>/
+async function listTrash() {
+  let entries;
+  try {
+    entries = await readdir(TRASH_DIR);
+  } catch {
+    return [];
+  }
 
-  return script;
+  return entries
+    .filter(entry => entry.includes('@'))
+    .map(entry => {
+      const at = entry.lastIndexOf('@');
+      return { id: entry, name: entry.slice(0, at), deleted: parseTimestampId(entry.slice(at + 1)), dir: path.join(TRASH_DIR, entry) };
+    })
+    .sort((x, y) => y.deleted - x.deleted);
 }
 
-// CREATE 명령어
-program
-  .command('create')
-  .description('Create a new tmux workspace interactively')
-  .action(async () => {
-    console.log(chalk.blue.bold('\n🚀 Create a new tmux workspace\n'));
+// 보관 기간이 지난 휴지통 항목 삭제
+async function purgeTrash() {
+  if (!(TRASH_DAYS > 0)) return;
+  const cutoff = Date.now() - TRASH_DAYS * 24 * 60 * 60 * 1000;
+  for (const entry of await listTrash()) {
+    if (entry.deleted.getTime() < cutoff) await rm(entry.dir, { recursive: true, force: true });
+  }
+}
 
-    const config = {
-      name: '',
-      baseDir: process.cwd(),
-      panes: [{ command: '' }]
-    };
+// 워크스페이스를 휴지통으로 (스크립트, 설정, 버전 기록을 함께 옮김)
+async function moveToTrash(name) {
+  const dir = path.join(TRASH_DIR, `${name}@${timestampId()}`);
+  await mkdir(dir, { recursive: true });
 
-    let editing = true;
+  await rename(path.join(SCRIPT_DIR, `${name}.sh`), path.join(dir, `${name}.sh`)).catch(() => {});
+  await rename(path.join(CONFIG_DIR, `${name}.json`), path.join(dir, `${name}.json`)).catch(() => {});
+  await rename(path.join(HISTORY_DIR, name), path.join(dir, 'history')).catch(() => {});
 
-    while (editing) {
-      // 현재 설정 상태 표시
-      console.clear();
-      console.log(chalk.blue.bold('🚀 Create Workspace\n'));
-      console.log(chalk.cyan('Current Configuration:'));
-      console.log(chalk.white(`  Name: ${config.name || chalk.gray('(not set)')}`));
-      console.log(chalk.white(`  Base Dir: ${config.baseDir}`));
-      console.log(chalk.white(`  Panes: ${config.panes.length}`));
-
-      config.panes.forEach((pane, i) => {
-        if (i === 0) {
-          console.log(chalk.gray(`    Pane 0: ${pane.command || '(no command)'}`));
-        } else {
-          const parts = [`Pane ${i}: ${pane.split}`];
-          if (pane.command) parts.push(`cmd="${pane.command}"`);
-          if (pane.directory) parts.push(`dir="${pane.directory}"`);
-          if (pane.resize) parts.push(`${pane.resize.type}=${pane.resize.value}`);
-          console.log(chalk.gray(`    ${parts.join(', ')}`));
-        }
-      });
+  await purgeTrash();
+  return dir;
+}
 
-      console.log();
+// ── 템플릿 ──
 
-      // 편집 가능한 필드 목록 생성
-      const choices = [];
+// 사용자 템플릿: .templates/<name>.json = { description, config } (config 에는 name, baseDir 없음)
+const TEMPLATE_DIR = path.join(CONFIG_DIR, '.templates');
 
-      // 기본 설정
-      choices.push(new inquirer.Separator(chalk.yellow('── Basic ──')));
-      choices.push({
-        name: `  Name: ${config.name || chalk.gray('(required)')}`,
-        value: 'edit-name'
-      });
-      choices.push({
-        name: `  Base directory: ${config.baseDir}`,
-        value: 'edit-basedir'
-      });
+// 기본 제공 템플릿 (vars 는 생성할 때 물어보는 변수와 기본값)
+const BUILTIN_TEMPLATES = {
+  'editor-server-logs': {
+    description: 'Editor on top, dev server and log tail below',
+    config: {
+      vars: { editor: 'vim', server: 'npm run dev', log: 'log/development.log' },
+      windows: [
+        {
+          name: 'main',
+          panes: [
+            { name: 'editor', command: '${editor} .' },
+            { name: 'server', split: 'vertical', command: '${server}', resize: { type: 'height', value: '30%' } },
+            { name: 'logs', split: 'horizontal', command: 'tail -f ${log}' }
+          ]
+        }
+      ]
+    }
+  },
+  'node-api': {
+    description: 'Node.js API: editor, server with PORT, test watcher and a shell',
+    config: {
+      vars: { port: '3000' },
+      env: { PORT: '${port}' },
+      windows: [
+        { name: 'editor', panes: [{ command: 'vim .' }] },
+        {
+          name: 'server',
+          layout: 'even-horizontal',
+          panes: [
+            { name: 'server', command: 'npm run dev' },
+            { name: 'tests', split: 'horizontal', command: 'npm test -- --watch' }
+          ]
+        },
+        { name: 'shell', panes: [{ command: 'git status' }] }
+      ]
+    }
+  },
+  monorepo: {
+    description: 'Monorepo: one window per app plus a root shell',
+    config: {
+      vars: { web: 'apps/web', api: 'apps/api' },
+      windows: [
+        { name: 'root', panes: [{ command: 'git status' }] },
+        {
+          name: 'web',
+          panes: [
+            { name: 'web', directory: '${web}', command: 'npm run dev' },
+            { name: 'web-shell', split: 'vertical', directory: '${web}', resize: { type: 'height', value: '25%' } }
+          ]
+        },
+        {
+          name: 'api',
+          panes: [
+            { name: 'api', directory: '${api}', command: 'npm run dev' },
+            { name: 'api-shell', split: 'vertical', directory: '${api}', resize: { type: 'height', value: '25%' } }
+          ]
+        }
+      ]
+    }
+  },
+  'docker-compose': {
+    description: 'Services started with docker compose, logs and a shell',
+    config: {
+      vars: { services: '' },
+      hooks: { beforeLoad: 'docker compose up -d ${services}', onStop: 'docker compose stop ${services}' },
+      windows: [
+        {
+          name: 'main',
+          panes: [
+            { name: 'shell', command: 'docker compose ps' },
+            { name: 'logs', split: 'horizontal', command: 'docker compose logs -f ${services}', resize: { type: 'width', value: '60%' } }
+          ]
+        }
+      ]
+    }
+  }
+};
 
-      // 패널 0
-      choices.push(new inquirer.Separator(chalk.yellow('── Panes ──')));
-      choices.push({
-        name: `  Pane 0 - Command: ${config.panes[0].command || chalk.gray('(none)')}`,
-        value: 'edit-pane-0'
-      });
+// 템플릿 목록 (같은 이름이면 사용자 템플릿이 기본 제공보다 우선)
+async function listTemplates() {
+  const templates = new Map(Object.entries(BUILTIN_TEMPLATES).map(([name, template]) => (
+    [name, { name, builtin: true, ...template }]
+  )));
 
-      // 나머지 패널들
-      config.panes.slice(1).forEach((pane, idx) => {
-        const i = idx + 1;
-        const label = `Pane ${i}: ${pane.split} ${pane.command ? `"${pane.command}"` : ''}`;
-        choices.push({
-          name: `  ${label}`,
-          value: `edit-pane-${i}`
-        });
-      });
+  let files = [];
+  try {
+    files = (await readdir(TEMPLATE_DIR)).filter(f => f.endsWith('.json'));
+  } catch {
+    // 사용자 템플릿 없음
+  }
 
-      // 액션들
-      choices.push(new inquirer.Separator(chalk.yellow('── Actions ──')));
-      choices.push({
-        name: chalk.green('  ➕ Add pane'),
-        value: 'add-pane'
-      });
+  for (const file of files) {
+    const name = file.replace('.json', '');
+    try {
+      const template = JSON.parse(await readFile(path.join(TEMPLATE_DIR, file), 'utf-8'));
+      templates.set(name, { name, builtin: false, description: template.description || '', config: template.config });
+    } catch (err) {
+      templates.set(name, { name, builtin: false, description: '', error: err.message });
+    }
+  }
 
-      if (config.panes.length > 1) {
-        choices.push({
-          name: chalk.red('  ➖ Remove last pane'),
-          value: 'remove-pane'
-        });
-      }
+  return [...templates.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
 
-      choices.push(new inquirer.Separator());
+// 템플릿 찾기 (없거나 깨졌으면 에러)
+async function loadTemplate(name) {
+  const template = (await listTemplates()).find(item => item.name === name);
+  if (!template) throw new Error(`No template "${name}" (see tx template list)`);
+  if (template.error) throw new Error(`Invalid template "${name}": ${template.error}`);
+  return template;
+}
 
-      if (config.name) {
-        choices.push({
-          name: chalk.green.bold('  ✅ Create workspace'),
-          value: 'create'
-        });
-      }
+// 템플릿으로 새 설정 만들기 (검사 포함)
+function configFromTemplate(template, name, baseDir) {
+  // 기본 제공 템플릿은 항상 현재 형식
+  const source = structuredClone(template.builtin ? withSchemaVersion(template.config) : template.config);
+  const { schemaVersion, ...rest } = migrateConfig(source);
 
-      choices.push({
-        name: chalk.gray('  ❌ Cancel'),
-        value: 'cancel'
-      });
+  const config = { name, baseDir: null, ...rest };
+  config.baseDir = baseDir || rest.baseDir || process.cwd();
+  assertValidConfig(config, `template "${template.name}"`);
+  return config;
+}
 
-      // 메뉴 표시
-      const answer = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'action',
-          message: 'Select field to edit:',
-          choices,
-          pageSize: 20
-        }
-      ]);
+// 템플릿 변수 값 정하기: --var 값, 터미널이면 기본값을 보여주며 입력받고, 아니면 기본값
+async function promptTemplateVars(config, overrides) {
+  const names = Object.keys(config.vars || {});
+  for (const [name, value] of Object.entries(overrides)) {
+    if (!names.includes(name)) throw new Error(`Unknown template variable "${name}" (variables: ${names.join(', ') || 'none'})`);
+    config.vars[name] = value;
+  }
 
-      // 액션 처리
-      if (answer.action === 'edit-name') {
-        const result = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'name',
-            message: 'Workspace name:',
-            default: config.name,
-            validate: input => input.length > 0 || 'Name is required'
-          }
-        ]);
-        config.name = result.name;
-      }
+  const asked = names.filter(name => !(name in overrides));
+  if (asked.length === 0 || !process.stdin.isTTY) return;
+
+  console.log(chalk.cyan('\nTemplate variables:'));
+  const answers = await inquirer.prompt(asked.map(name => ({
+    type: 'input',
+    name,
+    message: `${name}:`,
+    default: String(config.vars[name])
+  })));
+  Object.assign(config.vars, answers);
+}
 
-      else if (answer.action === 'edit-basedir') {
-        const result = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'baseDir',
-            message: 'Base directory:',
-            default: config.baseDir
-          }
-        ]);
-        config.baseDir = result.baseDir;
-      }
-
-      else if (answer.action.startsWith('edit-pane-')) {
-        const paneIndex = parseInt(answer.action.split('-')[2]);
-        const pane = config.panes[paneIndex];
-
-        // Pane 편집 루프
-        let editingPane = true;
-        while (editingPane) {
-          // Pane 0는 command, resize만, 나머지는 split, directory, command, resize
-          const fieldChoices = paneIndex === 0
-            ? [
-                { name: `Command: ${pane.command || '(none)'}`, value: 'command' },
-                { name: `Resize: ${pane.resize ? `${pane.resize.type} ${pane.resize.value}` : '(none)'}`, value: 'resize' },
-                new inquirer.Separator(),
-                { name: '← Done', value: 'done' }
-              ]
-            : [
-                { name: `Split: ${pane.split}`, value: 'split' },
-                { name: `Directory: ${pane.directory || '(base)'}`, value: 'directory' },
-                { name: `Command: ${pane.command || '(none)'}`, value: 'command' },
-                { name: `Resize: ${pane.resize ? `${pane.resize.type} ${pane.resize.value}` : '(none)'}`, value: 'resize' },
-                new inquirer.Separator(),
-                { name: '← Done', value: 'done' }
-              ];
-
-          const editChoice = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'field',
-              message: `Edit Pane ${paneIndex}:`,
-              choices: fieldChoices
-            }
-          ]);
-
-          if (editChoice.field === 'done') {
-            editingPane = false;
-            break;
-          }
+// 워크스페이스 설정을 템플릿으로 저장 (이름과 기준 디렉토리는 생성할 때 정함)
+async function saveTemplate(name, config, description) {
+  const templateConfig = withSchemaVersion(structuredClone(config));
+  delete templateConfig.name;
+  delete templateConfig.baseDir;
 
-          if (editChoice.field === 'split') {
-            const result = await inquirer.prompt([
-              {
-                type: 'list',
-                name: 'split',
-                message: 'Split direction:',
-                choices: ['horizontal', 'vertical', new inquirer.Separator(), '← Cancel'],
-                default: pane.split
-              }
-            ]);
-            if (result.split !== '← Cancel') {
-              pane.split = result.split;
-            }
-          }
-          else if (editChoice.field === 'directory') {
-            const result = await inquirer.prompt([
-              {
-                type: 'input',
-                name: 'directory',
-                message: 'Directory (empty = base):',
-                default: pane.directory || ''
-              }
-            ]);
-            pane.directory = result.directory || null;
-          }
-          else if (editChoice.field === 'command') {
-            const result = await inquirer.prompt([
-              {
-                type: 'input',
-                name: 'command',
-                message: 'Command:',
-                default: pane.command || ''
-              }
-            ]);
-            pane.command = result.command;
-          }
-          else if (editChoice.field === 'resize') {
-            const hasResize = await inquirer.prompt([
-              {
-                type: 'list',
-                name: 'action',
-                message: 'Resize action:',
-                choices: [
-                  { name: 'Enable/Edit custom size', value: 'enable' },
-                  { name: 'Disable custom size', value: 'disable' },
-                  new inquirer.Separator(),
-                  { name: '← Cancel', value: 'cancel' }
-                ],
-                default: pane.resize ? 'enable' : 'disable'
-              }
-            ]);
-
-            if (hasResize.action === 'enable') {
-              const result = await inquirer.prompt([
-                {
-                  type: 'list',
-                  name: 'type',
-                  message: 'Resize by:',
-                  choices: ['width', 'height', new inquirer.Separator(), '← Cancel'],
-                  default: pane.resize?.type || 'width'
-                }
-              ]);
-
-              if (result.type !== '← Cancel') {
-                const sizeResult = await inquirer.prompt([
-                  {
-                    type: 'number',
-                    name: 'value',
-                    message: 'Size (lines/columns):',
-                    default: pane.resize?.value || 10
-                  }
-                ]);
-                pane.resize = { type: result.type, value: sizeResult.value };
-              }
-            } else if (hasResize.action === 'disable') {
-              pane.resize = null;
-            }
-          }
+  await mkdir(TEMPLATE_DIR, { recursive: true });
+  await writeFile(
+    path.join(TEMPLATE_DIR, `${name}.json`),
+    JSON.stringify({ description, config: templateConfig }, null, 2)
+  );
+}
+
+// ── 설정 스키마 ──
+
+const SCHEMA_VERSION = 2;
+
+// tmux 레이아웃 프리셋 (select-layout)
+const LAYOUT_PRESETS = ['even-horizontal', 'even-vertical', 'main-horizontal', 'main-vertical', 'tiled'];
+
+// 프리셋 또는 #{window_layout} 형식의 레이아웃 문자열 (체크섬,WxH,X,Y...)
+const LAYOUT_SCHEMA = {
+  type: 'string',
+  nullable: true,
+  pattern: new RegExp(`^(${LAYOUT_PRESETS.join('|')}|[0-9a-f]{4},\\d+x\\d+,\\d+,\\d+[\\d,x{}\\[\\]]*)$`),
+  patternName: `one of ${LAYOUT_PRESETS.join(', ')} or a tmux layout string`
+};
+
+const ENV_SCHEMA = { type: 'object', nullable: true, values: { type: ['string', 'number', 'boolean'] } };
+const HOOK_SCHEMA = { type: ['string', 'array'], nullable: true, items: { type: 'string' } };
+
+const PANE_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+const RESTART_POLICIES = ['never', 'on-failure', 'always'];
+
+const PANE_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: {
+      type: 'string',
+      nullable: true,
+      pattern: PANE_NAME_PATTERN,
+      patternName: 'letters, digits, "-" and "_", starting with a letter'
+    },
+    split: { type: 'string', enum: ['vertical', 'horizontal'] },
+    splitFrom: { type: ['integer', 'string'], nullable: true, minimum: 0 },
+    directory: { type: 'string', nullable: true },
+    command: { type: 'string', nullable: true },
+    resize: {
+      type: 'object',
+      nullable: true,
+      required: ['type', 'value'],
+      properties: {
+        type: { type: 'string', enum: ['width', 'height'] },
+        value: {
+          type: ['integer', 'string'],
+          minimum: 1,
+          pattern: /^(\d+|([1-9]\d?|100)%)$/,
+          patternName: 'a number of lines/columns or a percentage such as "30%"'
         }
       }
+    },
+    stopCommand: { type: 'string', nullable: true },
+    env: ENV_SCHEMA,
+    dependsOn: { type: ['integer', 'string', 'array'], nullable: true, minimum: 0, items: { type: ['integer', 'string'], minimum: 0 } },
+    ready: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        port: { type: 'integer', minimum: 1 },
+        host: { type: 'string', minLength: 1 },
+        file: { type: 'string', minLength: 1 },
+        output: { type: 'string', minLength: 1 },
+        delay: { type: 'number', minimum: 0 },
+        timeout: { type: 'number', minimum: 1 }
+      }
+    },
+    // 정책 이름만 쓰는 문자열 형식은 validateConfig 에서 검사
+    restart: {
+      type: ['string', 'object'],
+      nullable: true,
+      required: ['policy'],
+      properties: {
+        policy: { type: 'string', enum: RESTART_POLICIES },
+        maxRetries: { type: 'integer', minimum: 0 },
+        delay: { type: 'integer', minimum: 1 },
+        maxDelay: { type: 'integer', minimum: 1 }
+      }
+    }
+  }
+};
+
+const CONFIG_SCHEMA = {
+  type: 'object',
+  required: ['name', 'baseDir', 'windows'],
+  properties: {
+    schemaVersion: { type: 'integer', minimum: 1 },
+    name: { type: 'string', minLength: 1 },
+    groups: {
+      type: 'array',
+      nullable: true,
+      items: { type: 'string', pattern: PANE_NAME_PATTERN, patternName: 'letters, digits, "-" and "_", starting with a letter' }
+    },
+    baseDir: { type: 'string', minLength: 1 },
+    vars: ENV_SCHEMA,
+    env: ENV_SCHEMA,
+    envFile: { type: 'string', nullable: true },
+    layout: LAYOUT_SCHEMA,
+    hooks: {
+      type: 'object',
+      nullable: true,
+      properties: {
+        beforeLoad: HOOK_SCHEMA,
+        beforeFirstCreate: HOOK_SCHEMA,
+        afterLoad: HOOK_SCHEMA,
+        onStop: HOOK_SCHEMA
+      }
+    },
+    windows: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['name', 'panes'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          layout: LAYOUT_SCHEMA,
+          panes: { type: 'array', minItems: 1, items: PANE_SCHEMA }
+        }
+      }
+    }
+  }
+};
+
+// 값의 JSON 타입 이름
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : Number.isNaN(value) ? 'NaN' : 'number';
+  return typeof value;
+}
 
-      else if (answer.action === 'add-pane') {
-        const paneIndex = config.panes.length;
-
-        const splitChoice = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'split',
-            message: `Pane ${paneIndex} - Split:`,
-            choices: ['horizontal', 'vertical', new inquirer.Separator(), '← Cancel']
-          }
-        ]);
+const TYPE_NAMES = {
+  string: 'a string',
+  integer: 'a whole number',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object'
+};
+
+// 스키마 검사 (오류는 "필드 경로: 설명" 형식으로 errors 에 추가)
+function checkSchema(value, schema, field, errors) {
+  const type = typeOf(value);
+  const types = [].concat(schema.type);
+
+  if (value === null || value === undefined) {
+    if (!schema.nullable) errors.push(`${field}: is required`);
+    return;
+  }
+  if (!types.includes(type) && !(type === 'integer' && types.includes('number'))) {
+    errors.push(`${field}: must be ${types.map(t => TYPE_NAMES[t]).join(' or ')} (got ${type === 'NaN' ? 'NaN' : JSON.stringify(value)})`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${field}: must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${field}: must be at least ${schema.minimum} (got ${value})`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${field}: must not be empty`);
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${field}: must be ${schema.patternName} (got ${JSON.stringify(value)})`);
+  }
 
-        if (splitChoice.split === '← Cancel') continue;
+  if (type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${field}: must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) value.forEach((item, i) => checkSchema(item, schema.items, `${field}[${i}]`, errors));
+  }
 
-        const newPane = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'directory',
-            message: 'Directory (empty = base):',
-            default: ''
-          },
-          {
-            type: 'input',
-            name: 'command',
-            message: 'Command:',
-            default: ''
-          },
-          {
-            type: 'confirm',
-            name: 'needResize',
-            message: 'Custom size?',
-            default: false
-          }
-        ]);
+  if (type === 'object') {
+    const prefix = field ? `${field}.` : '';
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) errors.push(`${prefix}${key}: is required`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (schema.values) {
+        checkSchema(item, schema.values, `${prefix}${key}`, errors);
+      } else if (!schema.properties[key]) {
+        errors.push(`${prefix}${key}: unknown field`);
+      } else if (!(schema.required?.includes(key) && item === null)) {
+        checkSchema(item, schema.properties[key], `${prefix}${key}`, errors);
+      }
+    }
+  }
+}
 
-        let resize = null;
-        if (newPane.needResize) {
-          const resizeChoice = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'type',
-              message: 'Resize by:',
-              choices: ['width', 'height', new inquirer.Separator(), '← Skip']
-            }
-          ]);
-
-          if (resizeChoice.type !== '← Skip') {
-            const resizeValue = await inquirer.prompt([
-              {
-                type: 'number',
-                name: 'value',
-                message: 'Size:',
-                default: 10
-              }
-            ]);
-            resize = { type: resizeChoice.type, value: resizeValue.value };
+// 워크스페이스 설정 검사 (오류 메시지 목록 반환, 비어 있으면 정상)
+function validateConfig(config) {
+  const errors = [];
+  checkSchema(config, CONFIG_SCHEMA, '', errors);
+
+  // 첫 패널을 제외한 패널은 분할 방향이 필요하고, 앞에 있는 패널만 분할할 수 있음
+  // 패널 이름은 윈도우 안에서 겹치면 안 됨
+  if (errors.length === 0) {
+    config.windows.forEach((win, w) => {
+      win.panes.forEach((pane, i) => {
+        const field = `windows[${w}].panes[${i}]`;
+        if (i > 0 && !pane.split) errors.push(`${field}.split: is required (vertical or horizontal)`);
+        if (pane.splitFrom !== undefined && pane.splitFrom !== null) {
+          const from = paneIndexOf(win, pane.splitFrom);
+          if (from < 0 || from >= i) {
+            errors.push(`${field}.splitFrom: must refer to an earlier pane by index (0-${i - 1}) or name (got ${JSON.stringify(pane.splitFrom)})`);
           }
         }
+        if (pane.name && win.panes.findIndex(other => other.name === pane.name) !== i) {
+          errors.push(`${field}.name: "${pane.name}" is already used in window "${win.name}"`);
+        }
+        if (typeof pane.restart === 'string' && !RESTART_POLICIES.includes(pane.restart)) {
+          errors.push(`${field}.restart: must be one of ${RESTART_POLICIES.join(', ')} (got ${JSON.stringify(pane.restart)})`);
+        }
+      });
+    });
+  }
 
-        config.panes.push({
-          split: splitChoice.split,
-          directory: newPane.directory || null,
-          command: newPane.command,
-          resize
-        });
+  // dependsOn 은 있는 패널을 가리키고, 순환하지 않아야 함
+  if (errors.length === 0) {
+    const deps = paneDependencies(config, errors);
+    if (errors.length === 0) {
+      try {
+        dependencyOrder(config, deps);
+      } catch (err) {
+        errors.push(err.message);
       }
+    }
+  }
 
-      else if (answer.action === 'remove-pane') {
-        config.panes.pop();
-      }
+  return errors;
+}
 
-      else if (answer.action === 'create') {
-        editing = false;
-      }
+// 검사에 실패하면 오류 목록을 담은 에러
+function assertValidConfig(config, source = `workspace "${config?.name}"`) {
+  const errors = validateConfig(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid config in ${source}:\n${errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+}
 
-      else if (answer.action === 'cancel') {
-        console.log(chalk.yellow('\nCancelled'));
-        return;
+// 설정 마이그레이션 (키: 원래 버전, 값: 다음 버전으로 변환)
+const MIGRATIONS = {
+  // 1 → 2: 단일 윈도우 설정({ panes })을 windows[] 형식으로
+  // 예전 버전이 숫자가 아닌 입력을 NaN → null 로 저장한 resize 처럼 쓸 수 없는 크기는 버림
+  1: (config) => {
+    const { panes = [{ command: '' }], ...rest } = config;
+    const migrated = Array.isArray(config.windows) ? config : { ...rest, windows: [{ name: 'main', panes }] };
+
+    for (const win of migrated.windows) {
+      for (const pane of Array.isArray(win?.panes) ? win.panes : []) {
+        if (typeOf(pane) !== 'object' || !('resize' in pane)) continue;
+        const errors = [];
+        checkSchema(pane.resize, PANE_SCHEMA.properties.resize, 'resize', errors);
+        if (pane.resize === null || errors.length > 0) delete pane.resize;
       }
     }
+    return migrated;
+  }
+};
 
-    // 스크립트 생성 및 저장
-    const script = generateScript(config);
-    await writeFile(path.join(SCRIPT_DIR, `${config.name}.sh`), script);
-    spawn('chmod', ['+x', path.join(SCRIPT_DIR, `${config.name}.sh`)]);
-    await saveConfig(config.name, config);
+// 이전 버전 설정을 현재 스키마로 변환 (schemaVersion 이 없으면 1)
+function migrateConfig(config) {
+  if (typeOf(config) !== 'object') {
+    throw new Error('Config must be an object');
+  }
 
-    console.log(chalk.green.bold(`\n✅ Workspace "${config.name}" created!\n`));
-    console.log(chalk.gray(`Run: ${chalk.white(`tx load ${config.name}`)}`));
-  });
+  let version = config.schemaVersion ?? 1;
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Config uses schemaVersion ${version}, but this tx only supports up to ${SCHEMA_VERSION}; please upgrade tx`);
+  }
 
-// LOAD 명령어
-program
-  .command('load <workspace>')
-  .description('Load a tmux workspace')
-  .action(async (workspace) => {
-    const script = path.join(SCRIPT_DIR, `${workspace}.sh`);
+  let migrated = config;
+  while (version < SCHEMA_VERSION) {
+    migrated = MIGRATIONS[version](migrated);
+    version++;
+  }
 
-    if (!existsSync(script)) {
-      console.error(chalk.red(`❌ Workspace "${workspace}" not found`));
-      process.exit(1);
-    }
+  return withSchemaVersion(migrated);
+}
 
-    spawn('bash', [script], { stdio: 'inherit' });
-  });
+// schemaVersion 을 현재 버전으로 맨 앞에
+function withSchemaVersion(config) {
+  const { schemaVersion, ...rest } = config;
+  return { schemaVersion: SCHEMA_VERSION, ...rest };
+}
 
-// LIST 명령어
-program
+// 셸 인용 처리 (bash 스크립트용, 작은따옴표로 감쌈)
+function shellQuote(value) {
+  const str = String(value);
+  if (/^[A-Za-z0-9_\-.,:/@%+=]+$/.test(str)) return str;
+  return `'${str.replace(/'/g, `'\\''`)}'`;
+}
+
+// tmux 인자 이스케이프: 끝의 ';'는 tmux가 명령 구분자로 해석하므로 '\;'로 변환
+function tmuxArg(value) {
+  const str = String(value);
+  return str.endsWith(';') ? `${str.slice(0, -1)}\\;` : str;
+}
+
+// tmux 세션 이름 (tmux는 '.'과 ':'를 '_'로 바꿈)
+function sessionName(config) {
+  return config.name.replace(/[.:]/g, '_');
+}
+
+// '~' 확장 및 상대 경로를 기준 디렉토리로 해석
+function resolveDir(dir, baseDir) {
+  if (dir === '~') return homedir();
+  if (dir.startsWith('~/')) return path.join(homedir(), dir.slice(2));
+  return baseDir ? path.resolve(baseDir, dir) : dir;
+}
+
+// 환경 변수 맵 → tmux -e 인자
+function envArgs(env) {
+  return Object.entries(env || {}).flatMap(([key, value]) => ['-e', tmuxArg(`${key}=${value}`)]);
+}
+
+// dotenv 형식 파싱 (KEY=value, export KEY=value, 따옴표, # 주석)
+function parseDotenv(content) {
+  const env = {};
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const match = /^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/.exec(line);
+    if (!match) continue;
+
+    let value = match[2];
+    if (/^"(.*)"$/.test(value)) {
+      value = value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+    } else if (/^'(.*)'$/.test(value)) {
+      value = value.slice(1, -1);
+    } else {
+      value = value.replace(/\s+#.*$/, '');
+    }
+    env[match[1]] = value;
+  }
+
+  return env;
+}
+
+// tmux 명령 목록 생성 (스크립트 생성과 직접 실행 공용)
+// 각 단계는 { args, capture } 형태이며, 인자 안의 { ref } 는 앞 단계에서 캡처한 값
+function buildCommands(config) {
+  const baseDir = resolveDir(config.baseDir);
+  const steps = [];
+
+  // ready.output 패턴은 grep 을 실행해야 검사할 수 있으므로, 설정을 읽을 때마다가 아니라 스크립트를 만들거나 불러올 때만
+  config.windows.forEach((win, w) => win.panes.forEach((pane, i) => {
+    const problem = pane.ready?.output && checkOutputPattern(pane.ready.output);
+    if (problem) throw new Error(`windows[${w}].panes[${i}].ready.output: ${problem}`);
+  }));
+  const deps = paneDependencies(config);
+
+  config.windows.forEach((win, w) => {
+    const { panes } = win;
+    const windowRef = `W${w}`;
+    // 패널은 생성 시 받은 pane id 로 지정 (인덱스는 분할 위치와 base-index 에 따라 바뀜)
+    const paneTarget = i => ({ ref: `P${w}_${i}` });
+    const firstDir = panes[0].directory ? resolveDir(panes[0].directory, baseDir) : baseDir;
+
+    // 첫 번째 윈도우는 세션과 함께 생성 (워크스페이스 env 는 세션 환경으로 모든 패널에 적용)
+    // 이후 윈도우는 앞 윈도우 뒤에 추가
+    if (w === 0) {
+      steps.push({
+        args: ['new-session', '-d', '-s', { ref: 'SESSION' }, ...envArgs(config.env), '-n', win.name, '-c', firstDir, '-P', '-F', '#{window_id} #{pane_id}'],
+        capture: [windowRef, paneTarget(0).ref]
+      });
+
+      // 세션의 첫 패널 env 는 new-session -e 로 주면 세션 전체에 적용되므로, 셸을 그 env 로 다시 시작
+      // (입력해서 export 하면 값이 화면과 셸 기록에 남고 POSIX 셸이 아니면 동작하지 않음)
+      if (panes[0].env && Object.keys(panes[0].env).length > 0) {
+        steps.push({ args: ['respawn-pane', '-k', '-t', paneTarget(0), ...envArgs(panes[0].env), '-c', firstDir] });
+      }
+    } else {
+      steps.push({
+        args: ['new-window', '-a', '-t', { ref: `W${w - 1}` }, ...envArgs(panes[0].env), '-n', win.name, '-c', firstDir, '-P', '-F', '#{window_id} #{pane_id}'],
+        capture: [windowRef, paneTarget(0).ref]
+      });
+    }
+
+    // 첫 번째 패널은 이미 생성되어 있으므로 스킵
+    // splitFrom 이 없으면 바로 앞 패널을 분할
+    for (let i = 1; i < panes.length; i++) {
+      const pane = panes[i];
+      const dir = pane.directory ? resolveDir(pane.directory, baseDir) : baseDir;
+      const flag = pane.split === 'horizontal' ? '-h' : '-v';
+      const from = paneIndexOf(win, pane.splitFrom ?? i - 1);
+      steps.push({
+        args: ['split-window', '-t', paneTarget(from), flag, ...envArgs(pane.env), '-c', dir, '-P', '-F', '#{pane_id}'],
+        capture: paneTarget(i).ref
+      });
+    }
+    // 패널 표시: tx 가 찾을 수 있도록 위치를 @tx_pane 에 기록하고, 이름은 패널 제목으로
+    panes.forEach((pane, i) => {
+      steps.push({ args: ['set-option', '-p', '-t', paneTarget(i), '@tx_pane', `${w}.${i}`] });
+      if (pane.name) steps.push({ args: ['select-pane', '-t', paneTarget(i), '-T', pane.name] });
+    });
+
+    // 레이아웃(프리셋 또는 캡처된 문자열)은 패널이 모두 생성된 뒤 적용
+    const layout = windowLayout(config, win);
+    if (layout) {
+      steps.push({ args: ['select-layout', '-t', { ref: windowRef }, layout] });
+    }
+
+    // 패널 크기 조정
+    panes.forEach((pane, i) => {
+      if (pane.resize) {
+        const flag = pane.resize.type === 'width' ? '-x' : '-y';
+        steps.push({ args: ['resize-pane', '-t', paneTarget(i), flag, String(pane.resize.value)] });
+      }
+    });
+
+    // 명령어 실행 (-l: 키 이름으로 해석하지 않고 그대로 입력), dependsOn 이 있는 패널은 뒤에서
+    panes.forEach((pane, i) => {
+      if (pane.command && !deps.has(`${w}.${i}`)) {
+        steps.push({ args: ['send-keys', '-t', paneTarget(i), '-l', tmuxArg(supervisedCommand(pane))] });
+        steps.push({ args: ['send-keys', '-t', paneTarget(i), 'C-m'] });
+      }
+    });
+
+    steps.push({ args: ['select-pane', '-t', paneTarget(0)] });
+  });
+
+  // dependsOn 이 있는 패널: 모든 윈도우를 만든 뒤 의존 순서대로, 기다릴 패널이 준비되면 명령 실행
+  const waited = new Set();
+  for (const key of dependencyOrder(config, deps)) {
+    if (!deps.has(key)) continue;
+
+    for (const dep of deps.get(key)) {
+      const [w, i] = dep.split('.').map(Number);
+      const pane = config.windows[w].panes[i];
+      if (!pane.ready || waited.has(dep)) continue;
+      waited.add(dep);
+
+      // 파일 경로는 그 패널의 디렉토리 기준
+      const ready = { ...pane.ready };
+      if (ready.file) ready.file = resolveDir(ready.file, pane.directory ? resolveDir(pane.directory, baseDir) : baseDir);
+      // 패턴은 패널에 입력된 명령 줄이 아닌 출력에만 맞춤
+      const command = pane.command ? supervisedCommand(pane) : null;
+      steps.push({ wait: { label: panePath(config, dep), target: { ref: `P${w}_${i}` }, ready, command } });
+    }
+
+    const [w, i] = key.split('.').map(Number);
+    const pane = config.windows[w].panes[i];
+    if (pane.command) {
+      steps.push({ args: ['send-keys', '-t', { ref: `P${w}_${i}` }, '-l', tmuxArg(supervisedCommand(pane))] });
+      steps.push({ args: ['send-keys', '-t', { ref: `P${w}_${i}` }, 'C-m'] });
+    }
+  }
+
+  steps.push({ args: ['select-window', '-t', { ref: 'W0' }] });
+
+  return steps;
+}
+
+// 윈도우 안에서 패널 참조(번호 또는 이름)의 인덱스 (없으면 -1)
+function paneIndexOf(win, ref) {
+  if (typeof ref === 'number') return ref < win.panes.length ? ref : -1;
+  return win.panes.findIndex(pane => pane.name === ref);
+}
+
+// CLI 패널 참조 해석: "이름", "윈도우.패널" (윈도우는 이름 또는 번호, 패널은 이름 또는 번호)
+// 번호만 있으면 첫 번째 윈도우의 패널
+function findPane(config, ref) {
+  const toRef = value => /^\d+$/.test(value) ? Number(value) : value;
+  const dot = ref.lastIndexOf('.');
+  const matches = [];
+
+  if (dot >= 0) {
+    const windowRef = toRef(ref.slice(0, dot));
+    const paneRef = toRef(ref.slice(dot + 1));
+    config.windows.forEach((win, w) => {
+      if (w !== windowRef && win.name !== windowRef) return;
+      const i = paneIndexOf(win, paneRef);
+      if (i >= 0) matches.push({ windowIndex: w, paneIndex: i });
+    });
+  } else if (/^\d+$/.test(ref)) {
+    const i = paneIndexOf(config.windows[0], Number(ref));
+    if (i >= 0) matches.push({ windowIndex: 0, paneIndex: i });
+  } else {
+    config.windows.forEach((win, w) => {
+      const i = paneIndexOf(win, ref);
+      if (i >= 0) matches.push({ windowIndex: w, paneIndex: i });
+    });
+  }
+
+  if (matches.length === 0) {
+    throw new Error(`No pane "${ref}" in workspace "${config.name}"`);
+  }
+  if (matches.length > 1) {
+    const options = matches.map(({ windowIndex }) => `${config.windows[windowIndex].name}.${ref}`);
+    throw new Error(`Pane "${ref}" is ambiguous; use one of: ${options.join(', ')}`);
+  }
+  return matches[0];
+}
+
+// 패널 표시 이름 ("Pane 1 [server]")
+function paneLabel(pane, i) {
+  return `Pane ${i}${pane.name ? ` [${pane.name}]` : ''}`;
+}
+
+// 준비 확인 기본 제한 시간 (초)
+const READY_TIMEOUT = 60;
+
+// 시간이 지났을 때: 세션은 살펴볼 수 있도록 일부러 남겨 두고, 기다리던 패널의 명령은 보내지 않음
+const READY_TIMEOUT_NOTE = 'panes that start after it were not started; the session was left running so you can inspect it (tx stop removes it)';
+
+// 패널 위치 표시 ("main.db", 이름이 없으면 "main.1")
+function panePath(config, key) {
+  const [w, i] = key.split('.').map(Number);
+  const win = config.windows[w];
+  return `${win.name}.${win.panes[i].name || i}`;
+}
+
+// dependsOn 해석: "w.i" → 먼저 준비되어야 하는 패널 위치 목록
+// 숫자는 같은 윈도우의 패널 번호, 문자열은 같은 윈도우의 패널 이름 또는 CLI 와 같은 패널 참조
+// errors 를 넘기면 잘못된 참조를 에러 대신 목록에 추가
+function paneDependencies(config, errors = null) {
+  const deps = new Map();
+
+  config.windows.forEach((win, w) => {
+    win.panes.forEach((pane, i) => {
+      if (pane.dependsOn === undefined || pane.dependsOn === null) return;
+      const field = `windows[${w}].panes[${i}].dependsOn`;
+      const list = [];
+
+      for (const ref of [].concat(pane.dependsOn)) {
+        try {
+          let target;
+          if (typeof ref === 'number') {
+            if (ref >= win.panes.length) throw new Error(`no pane ${ref} in window "${win.name}"`);
+            target = { windowIndex: w, paneIndex: ref };
+          } else {
+            const index = paneIndexOf(win, ref);
+            target = index >= 0 ? { windowIndex: w, paneIndex: index } : findPane(config, ref);
+          }
+          if (target.windowIndex === w && target.paneIndex === i) throw new Error('a pane cannot depend on itself');
+          list.push(`${target.windowIndex}.${target.paneIndex}`);
+        } catch (err) {
+          const message = `${field}: ${err.message.replace(/^No pane/, 'no pane')}`;
+          if (!errors) throw new Error(message);
+          errors.push(message);
+        }
+      }
+
+      deps.set(`${w}.${i}`, list);
+    });
+  });
+
+  return deps;
+}
+
+// 의존하는 패널이 뒤에 오는 순서 (순환이 있으면 에러)
+function dependencyOrder(config, deps) {
+  const order = [];
+  const state = new Map();
+
+  const visit = (key, chain) => {
+    if (state.get(key) === 'done') return;
+    if (state.get(key) === 'visiting') {
+      const cycle = [...chain.slice(chain.indexOf(key)), key].map(item => panePath(config, item));
+      throw new Error(`dependsOn: panes depend on each other in a cycle (${cycle.join(' → ')})`);
+    }
+    state.set(key, 'visiting');
+    for (const dep of deps.get(key) || []) visit(dep, [...chain, key]);
+    state.set(key, 'done');
+    order.push(key);
+  };
+
+  for (const key of deps.keys()) visit(key, []);
+  return order;
+}
+
+// 준비 조건 설명 ("port 5432, output /listening/")
+function describeReady(ready) {
+  const parts = [];
+  if (ready.port) parts.push(`port ${ready.host ? `${ready.host}:` : ''}${ready.port}`);
+  if (ready.file) parts.push(`file ${ready.file}`);
+  if (ready.output) parts.push(`output /${ready.output}/`);
+  if (ready.delay) parts.push(`${ready.delay}s delay`);
+  return parts.join(', ');
+}
+
+// ready.output 패턴 검사 (스크립트와 직접 실행 모두 grep -E 로 확인하므로 ERE 기준, 문제가 없으면 null)
+// GNU grep 은 \d 같은 이스케이프를 경고 없이 글자로 받으므로 따로 거름
+function checkOutputPattern(pattern) {
+  const escape = [...pattern.matchAll(/\\(.)/g)].map(match => match[1]).find(char => /[A-Za-z]/.test(char) && !'wWsSbB'.includes(char));
+  if (escape) return `\\${escape} is not supported (patterns use grep -E syntax${escape === 'd' ? '; use [0-9]' : ''})`;
+
+  const result = spawnSync('grep', ['-E', '--', pattern], { input: '', encoding: 'utf-8' });
+  if (result.error || result.status !== 2) return null;
+  return result.stderr.trim().replace(/^grep: /, '') || 'invalid pattern';
+}
+
+// 패널 출력에 패턴(grep -E)에 맞는 줄이 있는지 (입력한 명령이 보이는 줄은 제외)
+function outputMatches(output, pattern, command = null) {
+  const lines = output.split('\n').filter(line => !command || !line.includes(command));
+  return spawnSync('grep', ['-Eq', '--', pattern], { input: lines.join('\n') }).status === 0;
+}
+
+// 준비 대기 단계를 bash 로 (조건을 0.5초마다 확인, 시간이 지나면 실패로 종료)
+function renderWait({ label, target, ready, command }) {
+  const timeout = ready.timeout ?? READY_TIMEOUT;
+  const lines = [`echo ${shellQuote(`tx: waiting for ${label} (${describeReady(ready)})`)}`];
+  if (ready.delay) lines.push(`sleep ${ready.delay}`);
+
+  const checks = [];
+  if (ready.port) checks.push(`(exec 3<>${shellQuote(`/dev/tcp/${ready.host || 'localhost'}/${ready.port}`)}) 2>/dev/null`);
+  if (ready.file) checks.push(`[ -e ${shellQuote(ready.file)} ]`);
+  if (ready.output) {
+    const skipCommand = command ? ` | grep -vF -- ${shellQuote(command)}` : '';
+    checks.push(`tmux capture-pane -p -J -t ${renderArg(target)} -S -${skipCommand} | grep -Eq -- ${shellQuote(ready.output)}`);
+  }
+  if (checks.length === 0) return lines;
+
+  const message = `tx: ${label} did not become ready within ${timeout}s (${describeReady(ready)}); ${READY_TIMEOUT_NOTE}`;
+  lines.push(
+    `tx_deadline=$((SECONDS + ${Math.ceil(timeout)}))`,
+    `until ${checks.join(' && ')}; do`,
+    `  [ "$SECONDS" -ge "$tx_deadline" ] && { echo ${shellQuote(message)} >&2; exit 1; }`,
+    '  sleep 0.5',
+    'done'
+  );
+  return lines;
+}
+
+// TCP 포트가 열려 있는지
+function isPortOpen(host, port) {
+  return new Promise((resolve) => {
+    const socket = createConnection({ host, port, timeout: 1000 });
+    const done = (open) => {
+      socket.destroy();
+      resolve(open);
+    };
+    socket.on('connect', () => done(true));
+    socket.on('timeout', () => done(false));
+    socket.on('error', () => done(false));
+  });
+}
+
+// 준비 대기 (직접 실행용, renderWait 와 같은 조건)
+async function waitUntilReady({ label, target, ready, command }) {
+  const timeout = ready.timeout ?? READY_TIMEOUT;
+  console.log(chalk.gray(`⏳ Waiting for ${label} (${describeReady(ready)})`));
+  if (ready.delay) await sleep(ready.delay * 1000);
+
+  const isReady = async () => {
+    if (ready.port && !(await isPortOpen(ready.host || 'localhost', ready.port))) return false;
+    if (ready.file && !existsSync(ready.file)) return false;
+    if (ready.output && !outputMatches(await runTmux(['capture-pane', '-p', '-J', '-t', target, '-S', '-']), ready.output, command)) return false;
+    return true;
+  };
+
+  const deadline = Date.now() + timeout * 1000;
+  while (!(await isReady())) {
+    if (Date.now() >= deadline) {
+      throw new Error(`${label} did not become ready within ${timeout}s (${describeReady(ready)}); ${READY_TIMEOUT_NOTE}`);
+    }
+    await sleep(500);
+  }
+}
+
+// 재시작 기본값: 연속 5번까지, 1초부터 두 배씩 최대 60초 대기
+const RESTART_DEFAULTS = { maxRetries: 5, delay: 1, maxDelay: 60 };
+
+// 패널 재시작 설정 ("on-failure" 같은 문자열 형식 포함, never 거나 없으면 null)
+function restartPolicy(pane) {
+  const restart = typeof pane.restart === 'string' ? { policy: pane.restart } : pane.restart;
+  if (!restart || restart.policy === 'never') return null;
+  return { ...RESTART_DEFAULTS, ...restart };
+}
+
+// 패널에 입력할 명령 (재시작 정책이 있으면 감시 루프로 감쌈)
+// 루프는 사용자 셸과 상관없이 bash 로 실행하고, 재시작 횟수는 패널 옵션 @tx_restarts 에 기록
+// maxDelay 이상 실행된 뒤 종료되면 대기 시간과 연속 재시작 횟수를 처음부터, Ctrl-C(130)면 감시 종료
+function supervisedCommand(pane) {
+  const restart = restartPolicy(pane);
+  if (!restart || !pane.command) return pane.command;
+
+  const body = [
+    'tx_start=$SECONDS',
+    'eval "$1"',
+    'tx_status=$?',
+    '[ "$tx_status" -eq 130 ] && break',
+    ...(restart.policy === 'on-failure' ? ['[ "$tx_status" -eq 0 ] && break'] : []),
+    `if [ $((SECONDS - tx_start)) -ge ${restart.maxDelay} ]; then tx_count=0; tx_delay=${restart.delay}; fi`,
+    ...(restart.maxRetries > 0 ? [
+      `if [ "$tx_count" -ge ${restart.maxRetries} ]; then echo "tx: exited with status $tx_status; giving up after ${restart.maxRetries} restarts"; tmux set-option -p -t "$TMUX_PANE" @tx_gave_up 1; break; fi`
+    ] : []),
+    'tx_count=$((tx_count + 1))',
+    'tx_total=$((tx_total + 1))',
+    'tmux set-option -p -t "$TMUX_PANE" @tx_restarts "$tx_total"',
+    'echo "tx: exited with status $tx_status; restarting in ${tx_delay}s"',
+    'sleep "$tx_delay"',
+    `tx_delay=$((tx_delay * 2 > ${restart.maxDelay} ? ${restart.maxDelay} : tx_delay * 2))`
+  ];
+  const loop = `tx_total=0; tx_count=0; tx_delay=${restart.delay}; while true; do ${body.join('; ')}; done`;
+
+  return `bash -c ${shellQuote(loop)} tx-restart ${shellQuote(pane.command)}`;
+}
+
+// 실행 중인 세션의 패널별 재시작 횟수 ("w.i" → { restarts, gaveUp })
+async function paneRestarts(session) {
+  const lines = await runTmux(['list-panes', '-s', '-t', `=${session}`, '-F', '#{@tx_pane}|#{@tx_restarts}|#{@tx_gave_up}']);
+  const restarts = new Map();
+  for (const line of lines.split('\n')) {
+    const [position, count, gaveUp] = splitFields(line, 3);
+    if (position && Number(count) > 0) restarts.set(position, { restarts: Number(count), gaveUp: gaveUp === '1' });
+  }
+  return restarts;
+}
+
+// 윈도우에 적용할 레이아웃 (윈도우 설정이 워크스페이스 기본값보다 우선)
+function windowLayout(config, win) {
+  return win.layout || config.layout || null;
+}
+
+// 레이아웃 문자열인지 (프리셋이 아닌, 패널 수에 묶인 캡처 레이아웃)
+function isLayoutString(layout) {
+  return Boolean(layout) && !LAYOUT_PRESETS.includes(layout);
+}
+
+// 스크립트용 인자 렌더링 (참조는 셸 변수로)
+function renderArg(arg) {
+  if (typeof arg === 'string') return shellQuote(arg);
+  const parts = Array.isArray(arg) ? arg : [arg];
+  const inner = parts
+    .map(part => typeof part === 'string' ? part.replace(/["\\$`]/g, '\\$&') : `\${${part.ref}}`)
+    .join('');
+  return `"${inner}"`;
+}
+
+// 템플릿 변수: ${name} (--var > config.vars), ${env:NAME} 은 환경 변수, $${name} 은 ${name} 그대로
+// 어느 쪽에도 없는 ${name} 은 셸 변수로 보고 그대로 둠
+const VARIABLE_PATTERN = /\$(\$?)\{(env:)?([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+// 변수 치환 결과와 설정되지 않은 환경 변수 목록 (env: false 면 환경 변수는 모두 설정되지 않은 것으로)
+function substituteVariables(config, overrides = {}, { env = true } = {}) {
+  const values = { ...(config.vars || {}), ...overrides };
+  const missing = new Set();
+
+  const render = (text) => {
+    if (typeof text !== 'string') return text;
+    return text.replace(VARIABLE_PATTERN, (match, escaped, fromEnv, name) => {
+      if (escaped) return match.slice(1);
+      if (!fromEnv) return values[name] === undefined ? match : String(values[name]);
+      if (!env || process.env[name] === undefined) {
+        missing.add(name);
+        return match;
+      }
+      return process.env[name];
+    });
+  };
+
+  const renderEnv = env => env && Object.fromEntries(Object.entries(env).map(([key, value]) => [key, render(String(value))]));
+
+  const rendered = structuredClone(config);
+  rendered.baseDir = render(rendered.baseDir);
+  rendered.envFile = render(rendered.envFile);
+  rendered.env = renderEnv(rendered.env);
+  if (rendered.hooks) {
+    rendered.hooks = Object.fromEntries(Object.entries(rendered.hooks).map(([name, commands]) => (
+      [name, Array.isArray(commands) ? commands.map(render) : render(commands)]
+    )));
+  }
+  for (const win of rendered.windows) {
+    for (const pane of win.panes) {
+      pane.directory = render(pane.directory);
+      pane.command = render(pane.command);
+      pane.stopCommand = render(pane.stopCommand);
+      pane.env = renderEnv(pane.env);
+      if (pane.ready?.file) pane.ready.file = render(pane.ready.file);
+    }
+  }
+
+  return { config: rendered, missing: [...missing] };
+}
+
+// 실행용 설정 생성 (변수 치환, 프로젝트 파일 기준 경로 해석)
+// 정의되지 않은 변수가 있으면 tmux 명령을 실행하기 전에 에러
+function renderConfig(config, overrides = {}) {
+  const { config: rendered, missing } = substituteVariables(config, overrides);
+
+  if (missing.length > 0) {
+    throw new Error(`Environment variables not set: ${missing.join(', ')} (used as \${env:NAME})`);
+  }
+
+  if (rendered.projectDir) {
+    rendered.baseDir = resolveDir(rendered.baseDir, rendered.projectDir);
+    for (const win of rendered.windows) {
+      for (const pane of win.panes) {
+        if (pane.directory) pane.directory = resolveDir(pane.directory, rendered.projectDir);
+      }
+    }
+  }
+
+  // envFile 은 baseDir 기준, config.env 가 파일 값보다 우선
+  if (rendered.envFile) {
+    const envFile = resolveDir(rendered.envFile, resolveDir(rendered.baseDir));
+    if (!existsSync(envFile)) throw new Error(`Env file not found: ${envFile}`);
+    rendered.env = { ...parseDotenv(readFileSync(envFile, 'utf-8')), ...rendered.env };
+  }
+
+  return rendered;
+}
+
+// 불러올 때의 환경 변수를 읽는 설정인지 (${env:NAME} 을 씀)
+// 이런 설정은 저장 시점 값이 스크립트에 남지 않도록 불러올 때마다 설정에서 직접 실행
+function readsEnvironment(config) {
+  return substituteVariables(config, {}, { env: false }).missing.length > 0;
+}
+
+// 스크립트 대신 불러올 때마다 설정에서 직접 만드는 설정인지 (env 파일과 환경 변수는 불러올 때 읽음)
+function loadsFromConfig(config) {
+  return Boolean(config.envFile) || readsEnvironment(config);
+}
+
+// --var name=value 옵션 파싱
+function parseVarOptions(list = []) {
+  const vars = {};
+  for (const item of list) {
+    const index = item.indexOf('=');
+    if (index <= 0) throw new Error(`Invalid --var "${item}" (expected name=value)`);
+    vars[item.slice(0, index)] = item.slice(index + 1);
+  }
+  return vars;
+}
+
+// commander 반복 옵션 수집
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+// 프롬프트가 필요한 명령은 터미널이 아니면 기다리지 않고 실패 (스크립트에서 실행될 때)
+function requireTTY(hint) {
+  if (!process.stdin.isTTY) {
+    throw new Error(`This command needs an interactive terminal; ${hint}`);
+  }
+}
+
+// --pane 옵션 파싱: "[v|h:]command[:size%]" (예: "npm run dev", "v:npm test:30%")
+// 분할 방향은 기본 vertical, 크기는 비율만 (":3000" 같은 포트나 주소는 명령의 일부)
+function parsePaneSpec(spec, paneIndex) {
+  const pane = {};
+  let rest = spec;
+
+  const split = rest.match(/^(v|h|vertical|horizontal):/);
+  if (split) {
+    if (paneIndex === 0) throw new Error(`Invalid --pane "${spec}": the first pane is not split from another pane`);
+    pane.split = split[1].startsWith('h') ? 'horizontal' : 'vertical';
+    rest = rest.slice(split[0].length);
+  } else if (paneIndex > 0) {
+    pane.split = 'vertical';
+  }
+
+  // 크기처럼 보이지만 쓸 수 없는 비율은 명령으로 추측하지 않고 거부
+  const size = rest.match(/:(\d+)%$/);
+  if (size && validateSize(`${size[1]}%`) !== true) {
+    throw new Error(`Invalid --pane "${spec}": the size must be a percentage from 1% to 100%`);
+  }
+  pane.command = size ? rest.slice(0, -size[0].length) : rest;
+  if (size) pane.resize = { type: pane.split === 'horizontal' ? 'width' : 'height', value: `${Number(size[1])}%` };
+
+  return pane;
+}
+
+// --set 경로 파싱: "windows[0].panes[1].command", "env.NODE_ENV"
+function parseConfigPath(expr) {
+  const keys = [];
+  const pattern = /([^.[\]]+)|\[(\d+)\]/g;
+  let match;
+  while ((match = pattern.exec(expr))) {
+    keys.push(match[2] !== undefined ? Number(match[2]) : match[1]);
+  }
+  if (keys.length === 0 || expr.replace(pattern, '').replace(/\./g, '') !== '') {
+    throw new Error(`Invalid config path "${expr}"`);
+  }
+  if (keys[0] === 'name' || keys[0] === 'schemaVersion') {
+    throw new Error(`"${keys[0]}" cannot be set here${keys[0] === 'name' ? ' (use tx rename)' : ''}`);
+  }
+  return keys;
+}
+
+// 설정 값 바꾸기 (중간 객체는 만들고, value 가 undefined 면 삭제)
+function setConfigValue(config, expr, value) {
+  const keys = parseConfigPath(expr);
+  let target = config;
+
+  keys.slice(0, -1).forEach((key, i) => {
+    if (target[key] === undefined || target[key] === null) {
+      if (typeof key === 'number') throw new Error(`${expr}: no item at index ${key}`);
+      if (value === undefined) return;
+      target[key] = typeof keys[i + 1] === 'number' ? [] : {};
+    }
+    if (typeof target[key] !== 'object') {
+      throw new Error(`${expr}: "${keys.slice(0, i + 1).join('.')}" is not an object`);
+    }
+    target = target[key];
+  });
+
+  const last = keys[keys.length - 1];
+  if (value === undefined) {
+    if (Array.isArray(target) && typeof last === 'number') target.splice(last, 1);
+    else if (target && typeof target === 'object') delete target[last];
+  } else {
+    target[last] = value;
+  }
+}
+
+// --set / --set-json / --unset 옵션 적용
+function applySetOptions(config, options) {
+  for (const item of options.set || []) {
+    const index = item.indexOf('=');
+    if (index <= 0) throw new Error(`Invalid --set "${item}" (expected path=value)`);
+    setConfigValue(config, item.slice(0, index), item.slice(index + 1));
+  }
+  for (const item of options.setJson || []) {
+    const index = item.indexOf('=');
+    if (index <= 0) throw new Error(`Invalid --set-json "${item}" (expected path=json)`);
+    let value;
+    try {
+      value = JSON.parse(item.slice(index + 1));
+    } catch (err) {
+      throw new Error(`Invalid --set-json "${item}": ${err.message}`);
+    }
+    setConfigValue(config, item.slice(0, index), value);
+  }
+  for (const item of options.unset || []) {
+    setConfigValue(config, item, undefined);
+  }
+}
+
+// 프로젝트 워크스페이스 파일 이름 (저장소에 함께 커밋)
+const PROJECT_FILES = ['.tx.json', 'tx.yaml', 'tx.yml'];
+
+// 현재 디렉토리부터 위로 올라가며 프로젝트 워크스페이스 파일 찾기
+function findProjectFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  while (true) {
+    for (const file of PROJECT_FILES) {
+      const candidate = path.join(dir, file);
+      if (existsSync(candidate)) return candidate;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+// 프로젝트 워크스페이스 불러오기 (상대 경로는 파일 위치 기준으로 해석)
+async function loadProjectConfig(file) {
+  const projectDir = path.dirname(file);
+  const config = migrateConfig(YAML.parse(await readFile(file, 'utf-8')));
+
+  config.name = config.name || path.basename(projectDir);
+  config.baseDir = config.baseDir || '.';
+  assertValidConfig(config, file);
+  // 경로 해석은 변수 치환 뒤에 renderConfig 에서
+  config.projectDir = projectDir;
+
+  return config;
+}
+
+// Bash 스크립트 생성 (env 파일이나 환경 변수를 읽는 설정은 tx 가 불러올 때 설정에서 만들도록 넘김)
+// PATH 에 tx 가 없어도 (npx, 로컬 체크아웃, 단축키) 실행되도록 node 와 이 파일의 절대 경로로 호출
+function generateScript(config) {
+  if (loadsFromConfig(config)) {
+    return `#!/bin/bash
+# Uses an env file or environment variables, so tx builds the session from the config each time it is loaded
+exec ${shellQuote(process.execPath)} ${shellQuote(__filename)} load ${shellQuote(config.name)} --direct \${TX_DETACH:+--detach}
+`;
+  }
+
+  let script = `#!/bin/bash
+SESSION=${shellQuote(sessionName(config))}
+
+# Inside tmux switch the current client instead of nesting; TX_DETACH=1 skips attaching
+tx_attach() {
+  [ -n "$TX_DETACH" ] && return
+  if [ -n "$TMUX" ]; then
+    tmux switch-client -t "=$SESSION"
+  else
+    tmux attach -t "=$SESSION"
+  fi
+}
+
+tmux has-session -t "=$SESSION" 2>/dev/null && { tx_attach; exit; }
+`;
+
+  script += `\n${renderSteps(buildCommands(renderConfig(config)))}\n\ntx_attach\n`;
+
+  return script;
+}
+
+// 명령 단계를 bash 줄로 (캡처는 셸 변수에 저장, 윈도우 단위로 빈 줄 구분)
+function renderSteps(steps) {
+  const lines = [];
+  for (const step of steps) {
+    if (step.wait) {
+      lines.push('', ...renderWait(step.wait));
+      continue;
+    }
+    if (step.args[0] === 'new-window') lines.push('');
+    const command = `tmux ${step.args.map(renderArg).join(' ')}`;
+    if (Array.isArray(step.capture)) lines.push(`read -r ${step.capture.join(' ')} <<< "$(${command})"`);
+    else if (step.capture) lines.push(`${step.capture}=$(${command})`);
+    else lines.push(command);
+  }
+  return lines.join('\n');
+}
+
+// 스크립트 구문 강조 (미리보기용)
+function highlightScript(script) {
+  const token = /('[^']*'|"(?:[^"\\]|\\.)*"|\s+|[^\s'"]+)/g;
+
+  return script.split('\n').map((line) => {
+    if (line.startsWith('#')) return chalk.gray(line);
+
+    let afterTmux = false;
+    return line.replace(token, (part) => {
+      if (/^\s+$/.test(part)) return part;
+      if (part.startsWith("'") || part.startsWith('"')) {
+        // 작은따옴표 안은 셸 변수가 아님
+        if (part.startsWith("'")) return chalk.green(part);
+        return part.split(/(\$\{?\w+\}?)/).map((piece, i) => i % 2 ? chalk.magenta(piece) : chalk.green(piece)).join('');
+      }
+
+      // W0=$(tmux 같이 붙은 토큰은 앞의 변수 부분을 나눠서 색칠
+      const assign = /^(\w+=\$\()?(.*)$/.exec(part);
+      const prefix = assign[1] ? chalk.magenta(assign[1]) : '';
+      const word = assign[2];
+
+      if (word === 'tmux') {
+        afterTmux = true;
+        return prefix + chalk.cyan.bold(word);
+      }
+      if (afterTmux) {
+        afterTmux = false;
+        return prefix + chalk.yellow(word);
+      }
+      if (/^-[A-Za-z]+$/.test(word)) return prefix + chalk.blue(word);
+      if (/^\$/.test(word) || /^(read|SESSION=|tx_attach)/.test(word)) return prefix + chalk.magenta(word);
+      return prefix + word;
+    });
+  }).join('\n');
+}
+
+// 실행 계획 출력 (훅, tmux 명령, 붙기) - 실제로 실행하지 않음
+async function printPlan(config, { vars = {}, detach = false } = {}) {
+  const session = sessionName(config);
+  const rendered = renderConfig(config, vars);
+  const running = await hasSession(session).catch(() => false);
+  const hooks = name => [].concat(rendered.hooks?.[name] || []).filter(Boolean);
+  const comment = text => console.log(chalk.gray(`# ${text}`));
+
+  comment(`Session "${session}" is ${running ? 'already running; it will not be recreated' : 'not running'}`);
+  if (rendered.env || rendered.envFile) {
+    comment(`Session environment: ${Object.keys(rendered.env || {}).join(', ') || '(none)'}`);
+  }
+  hooks('beforeLoad').forEach(command => console.log(highlightScript(`# beforeLoad (in ${resolveDir(rendered.baseDir)})\n${command}`)));
+
+  if (!running) {
+    hooks('beforeFirstCreate').forEach(command => console.log(highlightScript(`# beforeFirstCreate\n${command}`)));
+    console.log(highlightScript(`SESSION=${shellQuote(session)}\n${renderSteps(buildCommands(rendered))}`));
+  }
+
+  hooks('afterLoad').forEach(command => console.log(highlightScript(`# afterLoad\n${command}`)));
+
+  if (detach) comment('Detached: not attaching');
+  else if (process.env.TMUX) console.log(highlightScript(`tmux switch-client -t ${shellQuote(`=${session}`)}`));
+  else console.log(highlightScript(`tmux attach -t ${shellQuote(`=${session}`)}`));
+}
+
+// ── 레이아웃 미리보기 ──
+
+// tmux 기본 main-pane-width / main-pane-height
+const MAIN_PANE_SIZE = { 'main-vertical': 80, 'main-horizontal': 24 };
+
+// 박스 그리기 문자 (비트: 위 1, 오른쪽 2, 아래 4, 왼쪽 8)
+const BOX_CHARS = {
+  0: ' ', 1: '│', 2: '─', 3: '└', 4: '│', 5: '│', 6: '┌', 7: '├',
+  8: '─', 9: '┘', 10: '─', 11: '┴', 12: '┐', 13: '┤', 14: '┬', 15: '┼'
+};
+
+// total 을 count 개로 고르게 나눔
+function evenSizes(total, count) {
+  return Array.from({ length: count }, (_, i) => Math.floor(total / count) + (i < total % count ? 1 : 0));
+}
+
+// 분할 노드의 자식 영역 (크기는 비율로 보고 부모 영역에 맞춤)
+function childRects(node, rect) {
+  const horizontal = node.split === 'horizontal';
+  const extent = horizontal ? rect.width : rect.height;
+  const total = node.sizes.reduce((sum, size) => sum + size, 0);
+  let used = 0;
+
+  return node.sizes.map((size) => {
+    const start = Math.round((used * extent) / total);
+    used += size;
+    const length = Math.round((used * extent) / total) - start;
+    return horizontal
+      ? { x: rect.x + start, y: rect.y, width: length, height: rect.height }
+      : { x: rect.x, y: rect.y + start, width: rect.width, height: length };
+  });
+}
+
+// 트리의 패널별 영역 (인덱스 → { x, y, width, height })
+function placeTree(node, rect, rects = []) {
+  if (!node.children) {
+    rects[node.pane] = rect;
+    return rects;
+  }
+  childRects(node, rect).forEach((childRect, i) => placeTree(node.children[i], childRect, rects));
+  return rects;
+}
+
+// 패널 분할을 순서대로 따라가며 트리 구성 (tmux 처럼 같은 방향이면 부모 안에 추가)
+function splitTree(win, width, height) {
+  let root = { pane: 0 };
+
+  for (let i = 1; i < win.panes.length; i++) {
+    const split = win.panes[i].split || 'vertical';
+    const target = paneIndexOf(win, win.panes[i].splitFrom ?? i - 1);
+    const rect = placeTree(root, { x: 0, y: 0, width, height })[target];
+
+    const insert = (node) => {
+      if (node.pane === target) {
+        const extent = split === 'horizontal' ? rect.width : rect.height;
+        const first = Math.ceil(extent / 2);
+        return { split, children: [node, { pane: i }], sizes: [first, extent - first] };
+      }
+      if (!node.children) return node;
+
+      const index = node.children.findIndex(child => child.pane === target);
+      if (index >= 0 && node.split === split) {
+        const size = node.sizes[index];
+        node.children.splice(index + 1, 0, { pane: i });
+        node.sizes.splice(index, 1, Math.ceil(size / 2), Math.floor(size / 2));
+        return node;
+      }
+      node.children = node.children.map(insert);
+      return node;
+    };
+    root = insert(root);
+  }
+
+  return root;
+}
+
+// 레이아웃 프리셋 트리
+function presetTree(preset, count, width, height) {
+  const leaves = Array.from({ length: count }, (_, i) => ({ pane: i }));
+  const even = (split, children, total) => children.length === 1
+    ? children[0]
+    : { split, children, sizes: evenSizes(total, children.length) };
+
+  if (count === 1) return leaves[0];
+
+  if (preset === 'even-horizontal') return even('horizontal', leaves, width);
+  if (preset === 'even-vertical') return even('vertical', leaves, height);
+
+  if (preset === 'main-vertical') {
+    const main = Math.max(1, Math.min(MAIN_PANE_SIZE[preset], width - 2));
+    return { split: 'horizontal', children: [leaves[0], even('vertical', leaves.slice(1), height)], sizes: [main, width - main] };
+  }
+  if (preset === 'main-horizontal') {
+    const main = Math.max(1, Math.min(MAIN_PANE_SIZE[preset], height - 2));
+    return { split: 'vertical', children: [leaves[0], even('horizontal', leaves.slice(1), width)], sizes: [main, height - main] };
+  }
+
+  // tiled: tmux 와 같은 방식으로 행/열 수 결정
+  let rows = 1;
+  let cols = 1;
+  while (rows * cols < count) {
+    rows++;
+    if (rows * cols < count) cols++;
+  }
+  const rowNodes = [];
+  for (let r = 0; r < count; r += cols) {
+    rowNodes.push(even('horizontal', leaves.slice(r, r + cols), width));
+  }
+  return even('vertical', rowNodes, height);
+}
+
+// 캡처된 레이아웃 문자열 트리 (패널 수가 다르면 null)
+function layoutStringTree(layout, count) {
+  let next = 0;
+  const convert = node => node.children
+    ? {
+      split: node.split,
+      children: node.children.map(convert),
+      sizes: node.children.map(child => node.split === 'horizontal' ? child.width : child.height)
+    }
+    : { pane: next++ };
+
+  try {
+    const tree = convert(parseLayout(layout));
+    return next === count ? tree : null;
+  } catch {
+    return null;
+  }
+}
+
+// resize-pane 흉내: 같은 방향으로 나뉜 가장 가까운 부모 안에서 이웃 패널과 크기를 주고받음
+function resizeTree(root, paneIndex, resize, width, height) {
+  const split = resize.type === 'width' ? 'horizontal' : 'vertical';
+  const windowExtent = split === 'horizontal' ? width : height;
+  const wanted = String(resize.value).endsWith('%')
+    ? Math.round((windowExtent * parseInt(resize.value, 10)) / 100)
+    : Number(resize.value);
+
+  // 패널까지의 경로에서 방향이 맞는 가장 가까운 부모 찾기
+  let found = null;
+  const walk = (node, rect) => {
+    if (!node.children) return node.pane === paneIndex;
+    return childRects(node, rect).some((childRect, i) => {
+      if (!walk(node.children[i], childRect)) return false;
+      if (!found && node.split === split) found = { node, index: i, rect };
+      return true;
+    });
+  };
+  walk(root, { x: 0, y: 0, width, height });
+  if (!found || found.node.children.length < 2) return;
+
+  const { node, index, rect } = found;
+  const extent = split === 'horizontal' ? rect.width : rect.height;
+  const total = node.sizes.reduce((sum, size) => sum + size, 0);
+  const unit = total / extent;
+  const neighbor = index + 1 < node.sizes.length ? index + 1 : index - 1;
+
+  const available = node.sizes[index] + node.sizes[neighbor] - unit;
+  const size = Math.min(Math.max(wanted * unit, unit), available);
+  node.sizes[neighbor] += node.sizes[index] - size;
+  node.sizes[index] = size;
+}
+
+// 윈도우의 패널 배치 계산 (분할 → 레이아웃 → 크기 조정, buildCommands 와 같은 순서)
+function computeGeometry(config, win, width, height) {
+  const layout = windowLayout(config, win);
+  let root = null;
+
+  if (isLayoutString(layout)) root = layoutStringTree(layout, win.panes.length);
+  else if (layout) root = presetTree(layout, win.panes.length, width, height);
+  root = root || splitTree(win, width, height);
+
+  win.panes.forEach((pane, i) => {
+    if (pane.resize) resizeTree(root, i, pane.resize, width, height);
+  });
+
+  return placeTree(root, { x: 0, y: 0, width, height });
+}
+
+// 미리보기 기준 터미널 크기 (tmux 상태줄 한 줄 제외)
+function terminalSize() {
+  if (process.stdout.isTTY && process.stdout.columns) {
+    return { width: process.stdout.columns, height: Math.max(process.stdout.rows - 1, 1) };
+  }
+  return { width: 80, height: 23 };
+}
+
+// 윈도우 레이아웃을 박스로 그림 (maxWidth x maxHeight 글자 안에 맞춰 축소)
+function renderLayout(config, win, { width, height, maxWidth = 78, maxHeight = 20 }) {
+  const rects = computeGeometry(config, win, width, height);
+  const canvasWidth = Math.max(Math.min(width, maxWidth - 1), 10);
+  const canvasHeight = Math.max(Math.min(Math.round((canvasWidth * height) / width), maxHeight - 1), 4);
+  const scaleX = x => Math.round((x * canvasWidth) / width);
+  const scaleY = y => Math.round((y * canvasHeight) / height);
+
+  const bits = Array.from({ length: canvasHeight + 1 }, () => new Array(canvasWidth + 1).fill(0));
+  const cells = bits.map(row => row.map(() => null));
+
+  rects.forEach((rect, i) => {
+    const x0 = scaleX(rect.x);
+    const x1 = scaleX(rect.x + rect.width);
+    const y0 = scaleY(rect.y);
+    const y1 = scaleY(rect.y + rect.height);
+
+    for (const y of [y0, y1]) {
+      for (let x = x0; x <= x1; x++) {
+        if (x > x0) bits[y][x] |= 8;
+        if (x < x1) bits[y][x] |= 2;
+      }
+    }
+    for (const x of [x0, x1]) {
+      for (let y = y0; y <= y1; y++) {
+        if (y > y0) bits[y][x] |= 1;
+        if (y < y1) bits[y][x] |= 4;
+      }
+    }
+
+    // 안쪽에 이름, 명령, 실제 크기 (border 한 칸 제외)
+    const pane = win.panes[i];
+    const cellWidth = rect.width - (rect.x + rect.width < width ? 1 : 0);
+    const cellHeight = rect.height - (rect.y + rect.height < height ? 1 : 0);
+    const labels = [
+      [pane.name || `#${i}`, chalk.cyan.bold],
+      [pane.command || '', chalk.white],
+      [`${cellWidth}x${cellHeight}`, chalk.gray]
+    ];
+    const inner = x1 - x0 - 1;
+    labels.slice(0, Math.max(y1 - y0 - 1, 0)).forEach(([text, style], line) => {
+      [...text.slice(0, inner)].forEach((char, c) => {
+        cells[y0 + 1 + line][x0 + 1 + c] = style(char);
+      });
+    });
+  });
+
+  return bits.map((row, y) => row.map((bit, x) => cells[y][x] || BOX_CHARS[bit]).join('')).join('\n');
+}
+
+// 모든 윈도우의 레이아웃 출력
+function printLayouts(config, size = terminalSize(), options = {}) {
+  config.windows.forEach((win, w) => {
+    console.log(chalk.white(`Window ${w}: ${win.name}`) + chalk.gray(` (${size.width}x${size.height})`));
+    console.log(renderLayout(config, win, { ...size, ...options }));
+    console.log();
+  });
+}
+
+// tmux 명령을 인자 배열로 직접 실행 (셸을 거치지 않음)
+function runTmux(args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('tmux', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+
+    proc.stdout.on('data', (data) => { stdout += data; });
+    proc.stderr.on('data', (data) => { stderr += data; });
+
+    proc.on('exit', (code) => {
+      if (code === 0) resolve(stdout.trim());
+      else reject(new Error(stderr.trim() || `tmux ${args[0]} exited with code ${code}`));
+    });
+
+    proc.on('error', (err) => {
+      reject(err);
+    });
+  });
+}
+
+// 세션 존재 여부
+async function hasSession(session) {
+  try {
+    await runTmux(['has-session', '-t', `=${session}`]);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// 명령 목록 실행 (참조 값 치환 후 순서대로)
+async function runCommands(steps, refs) {
+  const resolveArg = arg => {
+    if (typeof arg === 'string') return arg;
+    const parts = Array.isArray(arg) ? arg : [arg];
+    return parts.map(part => typeof part === 'string' ? part : refs[part.ref]).join('');
+  };
+
+  for (const step of steps) {
+    if (step.wait) {
+      await waitUntilReady({ ...step.wait, target: resolveArg(step.wait.target) });
+      continue;
+    }
+    const output = await runTmux(step.args.map(resolveArg));
+    if (Array.isArray(step.capture)) {
+      const values = output.split(' ');
+      step.capture.forEach((ref, i) => { refs[ref] = values[i]; });
+    } else if (step.capture) {
+      refs[step.capture] = output;
+    }
+  }
+}
+
+// 세션에 붙기 (tmux 안이면 중첩하지 않고 현재 클라이언트를 전환)
+function attachSession(session) {
+  if (process.env.TMUX) {
+    return runTmux(['switch-client', '-t', `=${session}`]);
+  }
+
+  return new Promise((resolve) => {
+    const proc = spawn('tmux', ['attach', '-t', `=${session}`], { stdio: 'inherit' });
+    proc.on('exit', resolve);
+  });
+}
+
+// tmux 레이아웃 문자열 파싱 ("csum,WxH,X,Y{...}" → 트리)
+// {} 는 좌우 분할(horizontal), [] 는 상하 분할(vertical), 리프는 패널
+function parseLayout(layout) {
+  let pos = layout.indexOf(',') + 1;
+
+  const parseNode = () => {
+    const match = /^(\d+)x(\d+),(\d+),(\d+)/.exec(layout.slice(pos));
+    if (!match) throw new Error(`Invalid layout string: ${layout}`);
+    pos += match[0].length;
+
+    const node = { width: Number(match[1]), height: Number(match[2]) };
+    const next = layout[pos];
+
+    if (next === '{' || next === '[') {
+      node.split = next === '{' ? 'horizontal' : 'vertical';
+      node.children = [];
+      pos++;
+      do {
+        node.children.push(parseNode());
+      } while (layout[pos++] === ',');
+    } else if (next === ',') {
+      const id = /^,(\d+)/.exec(layout.slice(pos));
+      pos += id[0].length;
+      node.paneId = Number(id[1]);
+    }
+
+    return node;
+  };
+
+  return parseNode();
+}
+
+// 레이아웃 트리의 패널들을 순서대로 나열하며, 각 패널이 어느 방향 분할로 생겼는지 계산
+// (컨테이너의 첫 번째 자식은 부모로부터 방향을 물려받음)
+function layoutLeaves(node, split = null) {
+  if (!node.children) return [{ ...node, split }];
+  return node.children.flatMap((child, i) => layoutLeaves(child, i === 0 ? split : node.split));
+}
+
+// 실행 중인 프로세스 목록 (pid → { ppid, args })
+async function getProcesses() {
+  return new Promise((resolve) => {
+    const proc = spawn('ps', ['-A', '-o', 'pid=', '-o', 'ppid=', '-o', 'args='], { stdio: ['ignore', 'pipe', 'ignore'] });
+    let stdout = '';
+
+    proc.stdout.on('data', (data) => { stdout += data; });
+    proc.on('error', () => resolve(new Map()));
+    proc.on('exit', () => {
+      const processes = new Map();
+      for (const line of stdout.split('\n')) {
+        const match = /^\s*(\d+)\s+(\d+)\s+(.+)$/.exec(line);
+        if (match) processes.set(match[1], { ppid: match[2], args: match[3].trim() });
+      }
+      resolve(processes);
+    });
+  });
+}
+
+const SHELLS = ['bash', 'zsh', 'fish', 'sh', 'dash', 'ksh', 'tcsh', 'csh', 'nu'];
+
+function isShell(command) {
+  return SHELLS.includes(path.basename(command.split(' ')[0]).replace(/^-/, ''));
+}
+
+// 패널에서 실행 중인 명령줄 (셸만 떠 있으면 빈 문자열)
+function paneCommand(processes, pid, currentCommand) {
+  if (isShell(currentCommand)) return '';
+
+  const own = processes.get(pid);
+  if (own && !isShell(own.args)) return own.args;
+
+  // 셸의 포그라운드 자식 프로세스
+  for (const proc of processes.values()) {
+    if (proc.ppid === pid) return proc.args;
+  }
+  return currentCommand;
+}
+
+// tmux -F 출력 필드 분리 (tmux는 탭 같은 제어 문자를 '_'로 바꾸므로 '|' 사용)
+// 이름/경로처럼 '|'가 들어갈 수 있는 값은 항상 마지막 필드에 둠
+function splitFields(line, count) {
+  const fields = line.split('|');
+  return [...fields.slice(0, count - 1), fields.slice(count - 1).join('|')];
+}
+
+// 실행 중인 세션을 windows[] 설정으로 캡처
+// baseDir 을 주지 않으면 첫 번째 패널의 경로를 사용
+async function captureSession(session, baseDir = null) {
+  const processes = await getProcesses();
+  const windowLines = await runTmux([
+    'list-windows', '-t', `=${session}`, '-F', '#{window_id}|#{window_layout}|#{window_name}'
+  ]);
+
+  const windows = [];
+  const positions = [];
+  for (const line of windowLines.split('\n')) {
+    const [windowId, layout, name] = splitFields(line, 3);
+    const paneLines = await runTmux([
+      'list-panes', '-t', windowId, '-F', '#{@tx_pane}|#{pane_pid}|#{pane_current_command}|#{pane_current_path}'
+    ]);
+    const leaves = layoutLeaves(parseLayout(layout));
+    const windowPositions = [];
+
+    const panes = paneLines.split('\n').map((paneLine, i) => {
+      const [position, pid, currentCommand, currentPath] = splitFields(paneLine, 4);
+      windowPositions.push(position || null);
+      const pane = {
+        directory: currentPath,
+        command: paneCommand(processes, pid, currentCommand)
+      };
+      if (i > 0) pane.split = leaves[i]?.split || 'vertical';
+      return pane;
+    });
+
+    windows.push({ name, layout, panes });
+    positions.push(windowPositions);
+  }
+
+  // 기준 디렉토리와 같은 경로는 생략
+  baseDir = baseDir || windows[0].panes[0].directory;
+  for (const win of windows) {
+    for (const pane of win.panes) {
+      if (pane.directory === resolveDir(baseDir)) pane.directory = null;
+    }
+  }
+
+  return { baseDir, windows, positions };
+}
+
+// 캡처한 윈도우에 기존 설정 합치기: tx 가 만든 패널(@tx_pane 위치)은 저장된 항목을 그대로 유지
+// 같은 윈도우 패널 번호로 된 splitFrom/dependsOn 은 새 번호로 맞추고, 없어진 패널에 대한 것은 제거
+function mergeCapturedWindows(existing, windows, positions) {
+  return windows.map((win, w) => {
+    const refs = positions[w].map(position => position && position.split('.').map(Number));
+    const windowIndex = refs.find(ref => ref && existing.windows[ref[0]])?.[0];
+    const storedWindow = existing.windows[windowIndex];
+    if (!storedWindow) return win;
+
+    // 저장된 패널 번호 → 캡처한 패널 번호
+    const renumber = new Map();
+    refs.forEach((ref, i) => {
+      if (ref && ref[0] === windowIndex && storedWindow.panes[ref[1]]) renumber.set(ref[1], i);
+    });
+
+    const panes = win.panes.map((captured, i) => {
+      const ref = refs[i];
+      const stored = ref && ref[0] === windowIndex && storedWindow.panes[ref[1]];
+      if (!stored) return captured;
+
+      const pane = structuredClone(stored);
+      if (i === 0) delete pane.split;
+      else pane.split = pane.split || captured.split;
+
+      if (typeof pane.splitFrom === 'number') {
+        const from = renumber.get(pane.splitFrom);
+        if (from === undefined || from === i - 1 || i === 0) delete pane.splitFrom;
+        else pane.splitFrom = from;
+      }
+      if (pane.dependsOn !== undefined && pane.dependsOn !== null) {
+        const deps = [].concat(pane.dependsOn)
+          .filter(dep => typeof dep !== 'number' || renumber.has(dep))
+          .map(dep => (typeof dep === 'number' ? renumber.get(dep) : dep));
+        if (deps.length === 0) delete pane.dependsOn;
+        else pane.dependsOn = Array.isArray(pane.dependsOn) ? deps : deps[0];
+      }
+      return pane;
+    });
+
+    // 이름으로 분할한 패널이 없어졌으면 바로 앞 패널에서 분할
+    panes.forEach((pane) => {
+      if (typeof pane.splitFrom === 'string' && !panes.some(other => other.name === pane.splitFrom)) delete pane.splitFrom;
+    });
+
+    return { ...structuredClone(storedWindow), name: win.name, layout: win.layout, panes };
+  });
+}
+
+// 실행 중인 tmux 세션 목록 (세션 이름 → { attached, windows, panes })
+async function listSessions() {
+  try {
+    const sessions = new Map();
+    const sessionLines = await runTmux([
+      'list-sessions', '-F', '#{session_attached}|#{session_windows}|#{session_activity}|#{session_name}'
+    ]);
+    for (const line of sessionLines.split('\n')) {
+      const [attached, windows, activity, name] = splitFields(line, 4);
+      sessions.set(name, {
+        attached: Number(attached),
+        windows: Number(windows),
+        panes: 0,
+        activity: new Date(Number(activity) * 1000).toISOString()
+      });
+    }
+
+    const paneLines = await runTmux(['list-panes', '-a', '-F', '#{session_name}']);
+    for (const name of paneLines.split('\n')) {
+      if (sessions.has(name)) sessions.get(name).panes++;
+    }
+    return sessions;
+  } catch {
+    // tmux 서버가 없으면 실행 중인 세션도 없음
+    return new Map();
+  }
+}
+
+// 실행 중인 세션의 패널 id (키: 설정에서의 위치 "윈도우.패널")
+async function listSessionPanes(session) {
+  const lines = await runTmux(['list-panes', '-s', '-t', `=${session}`, '-F', '#{window_id}|#{pane_id}|#{@tx_pane}']);
+  const panes = new Map();
+  const windows = new Map();
+  for (const line of lines.split('\n')) {
+    const [windowId, paneId, position] = splitFields(line, 3);
+    if (position) panes.set(position, paneId);
+    if (!windows.has(windowId)) windows.set(windowId, []);
+    windows.get(windowId).push(paneId);
+  }
+
+  // @tx_pane 이 없는 세션 (이전 버전으로 만든 세션)은 현재 위치로 대신함
+  if (panes.size === 0) {
+    [...windows.values()].forEach((ids, w) => ids.forEach((paneId, i) => panes.set(`${w}.${i}`, paneId)));
+  }
+  return panes;
+}
+
+// tmux wait-for 채널 신호 대기 (시간 초과 시 false)
+function waitForChannel(channel, timeoutMs) {
+  return new Promise((resolve) => {
+    const proc = spawn('tmux', ['wait-for', channel], { stdio: 'ignore' });
+    const timer = setTimeout(() => {
+      proc.kill();
+      resolve(false);
+    }, timeoutMs);
+
+    proc.on('exit', (code) => {
+      clearTimeout(timer);
+      resolve(code === 0);
+    });
+
+    proc.on('error', () => {
+      clearTimeout(timer);
+      resolve(false);
+    });
+  });
+}
+
+// 워크스페이스 세션 종료 (패널별 stopCommand 를 먼저 실행)
+async function stopWorkspace(config, timeoutMs) {
+  const session = sessionName(config);
+
+  // 불러올 때와 같은 설정 (프로젝트 기준 경로, env 파일), 만들 수 없어도 세션은 종료하고 onStop 훅만 건너뜀
+  let renderError = null;
+  try {
+    config = renderConfig(config);
+  } catch (err) {
+    renderError = err;
+    config = substituteVariables(config).config;
+  }
+  const livePanes = await listSessionPanes(session);
+  const waits = [];
+
+  config.windows.forEach((win, w) => {
+    win.panes.forEach((pane, i) => {
+      const paneId = livePanes.get(`${w}.${i}`);
+      if (!pane.stopCommand || !paneId) return;
+
+      // 실행 중인 프로세스를 중단하고 stopCommand 실행, 끝나면 채널로 신호
+      const channel = `tx-stop-${session}-${paneId.slice(1)}`;
+      const command = `${pane.stopCommand}; tmux wait-for -S ${shellQuote(channel)}`;
+      waits.push(
+        runTmux(['send-keys', '-t', paneId, 'C-c'])
+          .then(() => runTmux(['send-keys', '-t', paneId, '-l', tmuxArg(command)]))
+          .then(() => runTmux(['send-keys', '-t', paneId, 'C-m']))
+          .then(() => waitForChannel(channel, timeoutMs))
+          .then(done => ({ name: `${win.name}.${pane.name || i}`, done }))
+      );
+    });
+  });
+
+  const results = await Promise.all(waits);
+  await runTmux(['kill-session', '-t', `=${session}`]);
+
+  // 세션 종료 후 정리 훅
+  if (renderError && config.hooks?.onStop) {
+    throw new Error(`session stopped, but the onStop hook was skipped: ${renderError.message}`);
+  }
+  await runHook(config, 'onStop');
+
+  return results.filter(result => !result.done).map(result => result.name);
+}
+
+// PATH 에서 실행 파일 찾기
+function findExecutable(command) {
+  if (command.includes('/')) return existsSync(command) ? command : null;
+
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    const candidate = path.join(dir, command);
+    if (dir && existsSync(candidate)) return candidate;
+  }
+  return null;
+}
+
+// 워크스페이스 한 개 점검 (문제 목록 반환, fix 면 안전한 것만 고침)
+async function checkWorkspace(name, { hasScript, hasConfig, fix, sessions }) {
+  const problems = [];
+  const scriptPath = path.join(SCRIPT_DIR, `${name}.sh`);
+
+  if (!hasConfig) {
+    // 실행 중인 세션이 있으면 그 상태로 설정을 만들 수 있음
+    if (fix && sessions.has(name)) {
+      const { baseDir, windows } = await captureSession(name);
+      await saveConfig(name, { name, baseDir, windows });
+      problems.push({ level: 'fixed', message: 'script has no config; adopted the running session as its config' });
+    } else {
+      problems.push({ level: 'warning', message: 'script has no config (edit it with tx config, or start it and run tx doctor --fix)' });
+    }
+    return problems;
+  }
+
+  let config;
+  try {
+    config = await loadConfig(name);
+  } catch (err) {
+    problems.push({ level: 'error', message: err.message });
+    return problems;
+  }
+
+  let rendered;
+  try {
+    rendered = renderConfig(config);
+  } catch (err) {
+    problems.push({ level: 'error', message: err.message });
+    return problems;
+  }
+
+  const baseDir = resolveDir(rendered.baseDir);
+  if (!existsSync(baseDir)) {
+    problems.push({ level: 'error', message: `base directory does not exist: ${baseDir}` });
+  }
+  rendered.windows.forEach((win) => {
+    win.panes.forEach((pane, i) => {
+      const dir = pane.directory && resolveDir(pane.directory, baseDir);
+      if (dir && !existsSync(dir)) {
+        problems.push({ level: 'error', message: `window "${win.name}" pane ${i}: directory does not exist: ${dir}` });
+      }
+    });
+  });
+
+  if (!hasScript) {
+    if (fix) {
+      await saveScript(name, config);
+      problems.push({ level: 'fixed', message: 'config has no script; generated it' });
+    } else {
+      problems.push({ level: 'warning', message: 'config has no script' });
+    }
+  } else if (await isScriptDrifted(name, config)) {
+    // 직접 수정된 스크립트는 백업을 남기고 다시 생성
+    if (fix) {
+      await rename(scriptPath, `${scriptPath}.bak`);
+      await saveScript(name, config);
+      problems.push({ level: 'fixed', message: `script differed from config; regenerated (hand edits kept in ${name}.sh.bak)` });
+    } else {
+      problems.push({ level: 'warning', message: 'script differs from config (edited by hand or generated by an older version)' });
+    }
+  }
+
+  return problems;
+}
+
+// 워크스페이스 정보 (list --json / --format, get 공용)
+function workspaceInfo(name, config, { sessions, usage, file = null, error = null }) {
+  const session = config ? sessionName(config) : name;
+  const info = sessions.get(session);
+
+  return {
+    name,
+    project: Boolean(file),
+    file,
+    groups: config?.groups ?? [],
+    baseDir: config?.baseDir ?? null,
+    windows: config ? config.windows.length : null,
+    panes: config ? countPanes(config) : null,
+    session,
+    status: info ? 'running' : 'stopped',
+    running: Boolean(info),
+    attached: info?.attached ?? 0,
+    lastUsed: usage[file || name] ?? null,
+    lastActivity: info?.activity ?? null,
+    ...(error && { error })
+  };
+}
+
+// 프로젝트 + 전역 워크스페이스 정보 목록
+async function collectWorkspaces(sessions) {
+  const usage = await readUsage();
+  const entries = [];
+
+  const projectFile = findProjectFile();
+  if (projectFile) {
+    const config = await loadProjectConfig(projectFile).catch(() => null);
+    if (config) entries.push(workspaceInfo(config.name, config, { sessions, usage, file: projectFile }));
+  }
+
+  for (const ws of await getWorkspaces()) {
+    try {
+      entries.push(workspaceInfo(ws, await loadConfig(ws), { sessions, usage }));
+    } catch (err) {
+      entries.push(workspaceInfo(ws, null, { sessions, usage, error: err.message }));
+    }
+  }
+
+  return entries;
+}
+
+// "{name}\t{status}" 같은 템플릿 채우기 (없는 필드와 null 은 빈 문자열)
+function formatTemplate(template, values) {
+  return template
+    .replace(/\\t/g, '\t')
+    .replace(/\\n/g, '\n')
+    .replace(/\{(\w+)\}/g, (_, key) => values[key] ?? '');
+}
+
+// ── tmuxinator / tmuxp 변환 ──
+
+// 여러 명령을 한 줄로 합침 (tmuxinator/tmuxp는 명령마다 Enter를 보냄)
+function joinCommands(...commands) {
+  return commands.flat().filter(cmd => cmd !== null && cmd !== undefined && cmd !== '').join('; ');
+}
+
+// 매핑하지 않는 키를 경고로 수집
+function reportUnmapped(obj, mapped, where, warnings) {
+  for (const key of Object.keys(obj || {})) {
+    if (!mapped.includes(key)) warnings.push(`${where}: "${key}" is not supported`);
+  }
+}
+
+// 파일 형식 감지
+function detectFormat(doc) {
+  if (!doc || typeof doc !== 'object') return null;
+  if (doc.session_name !== undefined) return 'tmuxp';
+  // 예전 한 윈도우 형식 ({ name, baseDir, panes }) 도 tx 설정 (name 이 있어 tmuxinator 보다 먼저 확인)
+  if (doc.schemaVersion !== undefined || Array.isArray(doc.panes)) return 'json';
+  if (Array.isArray(doc.windows) && doc.windows.every(win => Array.isArray(win?.panes))) return 'json';
+  if (doc.name !== undefined || doc.project_name !== undefined || doc.tabs) return 'tmuxinator';
+  return null;
+}
+
+// tmuxinator 프로젝트 → tx 설정
+function fromTmuxinator(doc) {
+  const warnings = [];
+  reportUnmapped(doc, [
+    'name', 'project_name', 'root', 'project_root', 'windows', 'tabs',
+    'pre', 'on_project_start', 'on_project_first_start', 'on_project_stop', 'pre_window', 'pre_tab'
+  ], 'project', warnings);
+
+  const preWindow = doc.pre_window ?? doc.pre_tab;
+  const windows = (doc.windows || doc.tabs || []).map((entry, w) => {
+    const [[name, value]] = Object.entries(entry);
+    const win = { name: String(name ?? `window${w}`), panes: [] };
+
+    // 문자열(또는 null)이면 명령 하나짜리 윈도우
+    if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+      win.panes.push({ command: joinCommands(preWindow, value) });
+      return win;
+    }
+
+    reportUnmapped(value, ['root', 'layout', 'panes', 'pre'], `window "${win.name}"`, warnings);
+
+    const directory = value.root || null;
+    const panes = value.panes?.length ? value.panes : [null];
+    panes.forEach((pane, i) => {
+      // 이름 있는 패널 ({ title: [commands] })
+      let title = null;
+      if (pane && typeof pane === 'object' && !Array.isArray(pane)) {
+        [[title, pane]] = Object.entries(pane);
+        if (!PANE_NAME_PATTERN.test(title) || win.panes.some(other => other.name === title)) {
+          warnings.push(`window "${win.name}": pane title "${title}" is not a valid pane name and was dropped`);
+          title = null;
+        }
+      }
+      win.panes.push({
+        ...(title && { name: title }),
+        ...(i > 0 && { split: 'vertical' }),
+        directory,
+        command: joinCommands(preWindow, value.pre, pane)
+      });
+    });
+
+    // tmuxinator는 레이아웃이 없으면 tiled 로 정렬함
+    if (value.layout || win.panes.length > 1) win.layout = value.layout || 'tiled';
+    return win;
+  });
+
+  if (windows.length === 0) windows.push({ name: 'main', panes: [{ command: '' }] });
+
+  // 프로젝트 명령은 훅으로 (pre 는 on_project_start 의 옛 이름)
+  const hooks = {};
+  const beforeLoad = [].concat(doc.on_project_start ?? [], doc.pre ?? []);
+  if (beforeLoad.length > 0) hooks.beforeLoad = beforeLoad.length === 1 ? beforeLoad[0] : beforeLoad;
+  if (doc.on_project_first_start) hooks.beforeFirstCreate = doc.on_project_first_start;
+  if (doc.on_project_stop) hooks.onStop = doc.on_project_stop;
+
+  return {
+    config: {
+      name: String(doc.name ?? doc.project_name),
+      baseDir: doc.root || doc.project_root || process.cwd(),
+      ...(Object.keys(hooks).length > 0 && { hooks }),
+      windows
+    },
+    warnings
+  };
+}
+
+// tmuxp 세션 → tx 설정
+function fromTmuxp(doc) {
+  const warnings = [];
+  reportUnmapped(doc, [
+    'session_name', 'start_directory', 'windows', 'before_script', 'shell_command_before', 'environment'
+  ], 'session', warnings);
+
+  const commandList = value => [].concat(value ?? []).map(cmd => (typeof cmd === 'object' ? cmd?.cmd : cmd));
+
+  const windows = (doc.windows || []).map((entry, w) => {
+    const win = { name: String(entry.window_name ?? `window${w}`), panes: [] };
+    reportUnmapped(entry, [
+      'window_name', 'layout', 'start_directory', 'shell_command_before', 'panes', 'environment'
+    ], `window "${win.name}"`, warnings);
+
+    const before = [...commandList(doc.shell_command_before), ...commandList(entry.shell_command_before)];
+    const panes = entry.panes?.length ? entry.panes : [null];
+
+    panes.forEach((pane, i) => {
+      let command = '';
+      let directory = entry.start_directory || null;
+      // tx 에는 윈도우 단위 env 가 없으므로 패널마다 적용
+      let env = entry.environment;
+
+      if (pane && typeof pane === 'object') {
+        reportUnmapped(pane, ['shell_command', 'start_directory', 'environment'], `window "${win.name}" pane ${i}`, warnings);
+        command = joinCommands(commandList(pane.shell_command));
+        directory = pane.start_directory || directory;
+        if (pane.environment) env = { ...env, ...pane.environment };
+      } else if (pane && pane !== 'blank' && pane !== 'pane') {
+        command = String(pane);
+      }
+
+      win.panes.push({
+        ...(i > 0 && { split: 'vertical' }),
+        directory,
+        command: joinCommands(before, command),
+        ...(env && { env })
+      });
+    });
+
+    if (entry.layout) win.layout = entry.layout;
+    return win;
+  });
+
+  if (windows.length === 0) windows.push({ name: 'main', panes: [{ command: '' }] });
+
+  return {
+    config: {
+      name: String(doc.session_name),
+      baseDir: doc.start_directory || process.cwd(),
+      ...(doc.environment && { env: doc.environment }),
+      // tmuxp 는 세션을 만들기 전에만 before_script 를 실행
+      ...(doc.before_script && { hooks: { beforeFirstCreate: doc.before_script } }),
+      windows
+    },
+    warnings
+  };
+}
+
+// 내보내기용 레이아웃 (패널별 분할/크기는 표현 불가하므로 근사)
+function exportLayout(config, win, warnings) {
+  const layout = windowLayout(config, win);
+  if (layout) return layout;
+  if (win.panes.length === 1) return undefined;
+
+  if (win.panes.some(pane => pane.resize)) {
+    warnings.push(`window "${win.name}": pane sizes are not exported`);
+  }
+  if (win.panes.some(pane => pane.splitFrom !== undefined && pane.splitFrom !== null)) {
+    warnings.push(`window "${win.name}": split targets (splitFrom) are not exported`);
+  }
+  const splits = new Set(win.panes.slice(1).map(pane => pane.split));
+  if (splits.size > 1) {
+    warnings.push(`window "${win.name}": mixed split directions exported as "tiled" layout`);
+    return 'tiled';
+  }
+  return splits.has('horizontal') ? 'even-horizontal' : 'even-vertical';
+}
+
+// tx 설정 → tmuxinator 프로젝트
+function toTmuxinator(config) {
+  const warnings = [];
+  const windows = config.windows.map((win) => {
+    const root = win.panes[0].directory || undefined;
+    const panes = win.panes.map((pane) => {
+      // tmuxinator는 패널별 디렉토리가 없으므로 cd 로 대신함
+      const command = pane.directory && pane.directory !== root
+        ? joinCommands(`cd ${shellQuote(pane.directory)}`, pane.command)
+        : pane.command || '';
+      // 이름 있는 패널은 { title: command } 형식
+      return pane.name ? { [pane.name]: command } : command;
+    });
+    return { [win.name]: { root, layout: exportLayout(config, win, warnings), panes } };
+  });
+
+  if (config.env || config.envFile || config.windows.some(win => win.panes.some(pane => pane.env))) {
+    warnings.push('environment variables are not supported by tmuxinator and were not exported');
+  }
+  if (config.hooks?.afterLoad) warnings.push('afterLoad hook has no tmuxinator equivalent');
+  if (config.windows.some(win => win.panes.some(pane => pane.dependsOn || pane.ready))) {
+    warnings.push('startup order (dependsOn/ready) is not exported; all panes start at once');
+  }
+  if (config.windows.some(win => win.panes.some(restartPolicy))) {
+    warnings.push('restart policies are not exported; pane commands run once');
+  }
+
+  const doc = {
+    name: config.name,
+    root: config.baseDir,
+    on_project_start: config.hooks?.beforeLoad,
+    on_project_first_start: config.hooks?.beforeFirstCreate,
+    on_project_stop: config.hooks?.onStop,
+    windows
+  };
+
+  return { doc, warnings };
+}
+
+// tx 설정 → tmuxp 세션
+function toTmuxp(config) {
+  const warnings = [];
+  const windows = config.windows.map((win) => ({
+    window_name: win.name,
+    layout: exportLayout(config, win, warnings),
+    panes: win.panes.map((pane) => {
+      if (!pane.command && !pane.directory && !pane.env) return null;
+      return {
+        shell_command: pane.command ? [pane.command] : [],
+        start_directory: pane.directory || undefined,
+        environment: pane.env
+      };
+    })
+  }));
+
+  if (config.envFile) warnings.push('envFile is not exported; its variables are not included');
+  if (config.windows.some(win => win.panes.some(pane => pane.dependsOn || pane.ready))) {
+    warnings.push('startup order (dependsOn/ready) is not exported; all panes start at once');
+  }
+  if (config.windows.some(win => win.panes.some(restartPolicy))) {
+    warnings.push('restart policies are not exported; pane commands run once');
+  }
+  for (const hook of ['beforeLoad', 'afterLoad', 'onStop']) {
+    if (config.hooks?.[hook]) warnings.push(`${hook} hook has no tmuxp equivalent`);
+  }
+
+  // before_script 는 명령 하나만 가능
+  const beforeScript = [].concat(config.hooks?.beforeFirstCreate || []);
+  if (beforeScript.length > 1) warnings.push('only the first beforeFirstCreate command is exported as before_script');
+
+  const doc = {
+    session_name: config.name,
+    start_directory: config.baseDir,
+    before_script: beforeScript[0],
+    environment: config.env,
+    windows
+  };
+
+  return { doc, warnings };
+}
+
+// 훅 이름 (실행 순서대로)
+const HOOKS = ['beforeLoad', 'beforeFirstCreate', 'afterLoad', 'onStop'];
+
+// 훅 명령 실행 (baseDir 에서, 워크스페이스 env 포함). 실패하면 에러
+async function runHook(config, name) {
+  const commands = [].concat(config.hooks?.[name] || []).filter(Boolean);
+
+  for (const command of commands) {
+    console.log(chalk.gray(`▶ ${name}: ${command}`));
+
+    const code = await new Promise((resolve, reject) => {
+      const proc = spawn(command, {
+        shell: true,
+        stdio: 'inherit',
+        cwd: resolveDir(config.baseDir),
+        env: { ...process.env, ...config.env }
+      });
+      proc.on('exit', resolve);
+      proc.on('error', reject);
+    });
+
+    if (code !== 0) {
+      throw new Error(`${name} hook failed (exit ${code}): ${command}`);
+    }
+  }
+}
+
+// 생성된 스크립트로 세션만 만들기 (붙지 않음)
+function runScript(scriptPath) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn('bash', [scriptPath], { stdio: 'inherit', env: { ...process.env, TX_DETACH: '1' } });
+    proc.on('exit', (code) => {
+      if (code === 0) resolve();
+      else reject(new Error(`${path.basename(scriptPath)} exited with code ${code}`));
+    });
+    proc.on('error', reject);
+  });
+}
+
+// 워크스페이스 실행: 훅 → 세션 생성 (스크립트 또는 설정에서 직접) → 훅 → 붙기
+// before 훅이 실패하면 tmux 명령을 실행하지 않고 중단
+async function loadWorkspace(config, { scriptPath = null, detach = false, vars = {} } = {}) {
+  const session = sessionName(config);
+  const rendered = renderConfig(config, vars);
+  const existed = await hasSession(session);
+
+  await runHook(rendered, 'beforeLoad');
+
+  if (!existed) {
+    await runHook(rendered, 'beforeFirstCreate');
+
+    if (scriptPath) await runScript(scriptPath);
+    else await runCommands(buildCommands(rendered), { SESSION: session });
+  }
+
+  try {
+    await runHook(rendered, 'afterLoad');
+  } catch (err) {
+    console.error(chalk.yellow(`⚠️  ${err.message}`));
+    process.exitCode = 1;
+  }
+
+  if (detach) {
+    console.log(chalk.green(`✅ Session "${session}" is running (detached)`));
+    return;
+  }
+
+  await attachSession(session);
+}
+
+// 그룹에 속한 전역 워크스페이스 설정 (이름 순)
+async function groupMembers(group) {
+  const members = [];
+  for (const ws of await getWorkspaces()) {
+    const config = await loadConfig(ws).catch(() => null);
+    if (config?.groups?.includes(group)) members.push(config);
+  }
+  if (members.length === 0) throw new Error(`No workspaces in group "${group}"`);
+  return members;
+}
+
+// 그룹 불러오기: 모든 세션을 분리 상태로 만든 뒤 primary 에 붙기
+// primary 를 정하지 않으면 터미널에서는 물어보고, 아니면 첫 번째 워크스페이스
+async function loadGroup(group, { primary = null, detach = false } = {}) {
+  const members = await groupMembers(group);
+  const names = members.map(config => config.name);
+
+  if (primary && !names.includes(primary)) {
+    throw new Error(`"${primary}" is not in group "${group}" (members: ${names.join(', ')})`);
+  }
+
+  if (!primary && !detach) {
+    if (members.length > 1 && process.stdin.isTTY) {
+      const answer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'primary',
+          message: 'Attach to which workspace?',
+          choices: names
+        }
+      ]);
+      primary = answer.primary;
+    } else {
+      primary = names[0];
+    }
+  }
+
+  const failed = [];
+  for (const config of members) {
+    try {
+      await recordUsage(config.name);
+      await loadWorkspace(config, { detach: true });
+    } catch (err) {
+      console.error(chalk.red(`❌ Workspace "${config.name}": ${err.message}`));
+      failed.push(config.name);
+    }
+  }
+
+  if (failed.length > 0) process.exitCode = 1;
+  if (detach || failed.includes(primary)) return;
+
+  await attachSession(sessionName(members.find(config => config.name === primary)));
+}
+
+// 패널 이름 검사 (비어 있으면 이름 없음, 같은 윈도우 안에서 겹치면 안 됨)
+function validatePaneName(input, panes, self = null) {
+  if (!input) return true;
+  if (!PANE_NAME_PATTERN.test(input)) return 'Use letters, digits, "-" and "_", starting with a letter';
+  if (panes.some(pane => pane !== self && pane.name === input)) return `"${input}" is already used in this window`;
+  return true;
+}
+
+// 패널 크기 검사 (줄/칸 수 또는 "30%" 같은 비율)
+function validateSize(input) {
+  const value = String(input).trim();
+  if (/^[1-9]\d*$/.test(value) || /^([1-9]\d?|100)%$/.test(value)) return true;
+  return 'Enter a number of lines/columns (e.g. 10) or a percentage (e.g. 30%)';
+}
+
+// 패널 크기 입력값 변환 (숫자는 정수로, 비율은 문자열 그대로)
+function parseSize(input) {
+  const value = String(input).trim();
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
+// 워크스페이스 이름 검사 (파일 이름으로 쓰이므로 경로 문자 불가)
+function validateWorkspaceName(input) {
+  if (!input || input.length === 0) return 'Name is required';
+  if (input.includes('/') || input.startsWith('.')) return 'Name cannot contain "/" or start with "."';
+  return true;
+}
+
+// 패널 개수 합계
+function countPanes(config) {
+  return config.windows.reduce((sum, win) => sum + win.panes.length, 0);
+}
+
+// 패널 요약 문자열
+function describePane(pane, i) {
+  if (i === 0) {
+    const parts = [`${paneLabel(pane, 0)}: ${pane.command || '(no command)'}`];
+    if (pane.directory) parts.push(`dir="${pane.directory}"`);
+    if (pane.resize) parts.push(`${pane.resize.type}=${pane.resize.value}`);
+    if (pane.env) parts.push(`env=${Object.keys(pane.env).join(',')}`);
+    parts.push(...describeStartup(pane));
+    return parts.join(', ');
+  }
+  const parts = [`${paneLabel(pane, i)}: ${pane.split}${pane.splitFrom !== undefined && pane.splitFrom !== null ? ` from ${pane.splitFrom}` : ''}`];
+  if (pane.command) parts.push(`cmd="${pane.command}"`);
+  if (pane.directory) parts.push(`dir="${pane.directory}"`);
+  if (pane.resize) parts.push(`${pane.resize.type}=${pane.resize.value}`);
+  if (pane.env) parts.push(`env=${Object.keys(pane.env).join(',')}`);
+  parts.push(...describeStartup(pane));
+  return parts.join(', ');
+}
+
+// 패널 요약의 시작 순서 부분 (after=db, ready=port 5432)
+function describeStartup(pane) {
+  const parts = [];
+  if (pane.dependsOn !== undefined && pane.dependsOn !== null) parts.push(`after=${[].concat(pane.dependsOn).join(',')}`);
+  if (pane.ready) parts.push(`ready=${describeReady(pane.ready)}`);
+  const restart = restartPolicy(pane);
+  if (restart) parts.push(`restart=${restart.policy}`);
+  return parts;
+}
+
+// 윈도우 선택 (윈도우가 하나면 바로 반환)
+async function selectWindow(windows, message) {
+  if (windows.length === 1) return 0;
+
+  const answer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'windowIndex',
+      message,
+      choices: [
+        ...windows.map((win, i) => ({
+          name: `Window ${i}: ${win.name} (${win.panes.length} panes)`,
+          value: i
+        })),
+        new inquirer.Separator(),
+        { name: '← Cancel', value: null }
+      ]
+    }
+  ]);
+  return answer.windowIndex;
+}
+
+// 윈도우 이름 입력 (중복 불가)
+async function promptWindowName(windows, current = '') {
+  const result = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: 'Window name:',
+      default: current,
+      validate: input => {
+        if (!input || input.length === 0) return 'Name is required';
+        if (input !== current && windows.some(win => win.name === input)) {
+          return `Window "${input}" already exists`;
+        }
+        return true;
+      }
+    }
+  ]);
+  return result.name;
+}
+
+// 새 패널 입력 (취소하면 null)
+async function promptNewPane(panes) {
+  const paneIndex = panes.length;
+  const splitChoice = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'split',
+      message: `Pane ${paneIndex} - Split:`,
+      choices: ['horizontal', 'vertical', new inquirer.Separator(), '← Cancel']
+    }
+  ]);
+
+  if (splitChoice.split === '← Cancel') return null;
+
+  const splitFrom = await promptSplitFrom(panes, paneIndex);
+  if (splitFrom === undefined) return null;
+
+  const newPane = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'name',
+      message: 'Name (optional, e.g. server):',
+      default: '',
+      validate: input => validatePaneName(input, panes)
+    },
+    {
+      type: 'input',
+      name: 'directory',
+      message: 'Directory (empty = base):',
+      default: ''
+    },
+    {
+      type: 'input',
+      name: 'command',
+      message: 'Command:',
+      default: ''
+    },
+    {
+      type: 'confirm',
+      name: 'needResize',
+      message: 'Custom size?',
+      default: false
+    }
+  ]);
+
+  let resize = null;
+  if (newPane.needResize) {
+    const resizeChoice = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'type',
+        message: 'Resize by:',
+        choices: ['width', 'height', new inquirer.Separator(), '← Skip']
+      }
+    ]);
+
+    if (resizeChoice.type !== '← Skip') {
+      const resizeValue = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'value',
+          message: 'Size (lines/columns, or % of the window):',
+          default: '10',
+          validate: validateSize
+        }
+      ]);
+      resize = { type: resizeChoice.type, value: parseSize(resizeValue.value) };
+    }
+  }
+
+  return {
+    ...(newPane.name && { name: newPane.name }),
+    split: splitChoice.split,
+    ...(splitFrom !== null && { splitFrom }),
+    directory: newPane.directory || null,
+    command: newPane.command,
+    resize
+  };
+}
+
+// 분할할 패널 선택 (null = 바로 앞 패널, undefined = 취소)
+async function promptSplitFrom(panes, paneIndex, current = null) {
+  current = current ?? null;
+  // 앞 패널이 하나뿐이면 고를 것이 없음
+  if (paneIndex < 2) return null;
+
+  const answer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'splitFrom',
+      message: `Pane ${paneIndex} - Split from:`,
+      choices: [
+        ...panes.slice(0, paneIndex).map((p, i) => ({
+          name: `${paneLabel(p, i)}: ${p.command || '(no command)'}${i === paneIndex - 1 ? chalk.gray(' (previous, default)') : ''}`,
+          value: i
+        })),
+        new inquirer.Separator(),
+        { name: '← Cancel', value: 'cancel' }
+      ],
+      default: current === null ? paneIndex - 1 : paneIndexOf({ panes }, current)
+    }
+  ]);
+
+  if (answer.splitFrom === 'cancel') return undefined;
+  if (answer.splitFrom === paneIndex - 1) return null;
+  // 이름 있는 패널은 이름으로 (패널을 지워도 번호처럼 밀리지 않음)
+  return panes[answer.splitFrom].name || answer.splitFrom;
+}
+
+// 쉼표로 구분된 dependsOn 입력 (숫자는 패널 번호로)
+function parseDependsOn(input) {
+  return input.split(',').map(ref => ref.trim()).filter(Boolean).map(ref => (/^\d+$/.test(ref) ? Number(ref) : ref));
+}
+
+// dependsOn 입력 검사 (다른 윈도우의 "window.pane" 참조는 저장할 때 검사)
+function validateDependsOn(input, panes, self) {
+  for (const ref of parseDependsOn(input)) {
+    const index = typeof ref === 'number' ? ref : panes.findIndex(pane => pane.name === ref);
+    if (typeof ref === 'string' && ref.includes('.')) continue;
+    if (index < 0 || index >= panes.length) return `No pane "${ref}" in this window (use "window.pane" for other windows)`;
+    if (panes[index] === self) return 'A pane cannot depend on itself';
+  }
+  return true;
+}
+
+// 준비 조건 편집 (이 패널 뒤에 시작하는 패널이 기다리는 조건)
+async function editReady(pane) {
+  const answer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'type',
+      message: 'Panes that start after this one wait until:',
+      choices: [
+        { name: 'A TCP port accepts connections', value: 'port' },
+        { name: 'A file exists', value: 'file' },
+        { name: 'Its output matches a pattern', value: 'output' },
+        { name: 'A fixed delay has passed', value: 'delay' },
+        { name: 'Its command is sent (no check)', value: 'none' },
+        new inquirer.Separator(),
+        { name: '← Cancel', value: 'cancel' }
+      ],
+      default: ['port', 'file', 'output', 'delay'].find(type => pane.ready?.[type] !== undefined) || 'none'
+    }
+  ]);
+
+  if (answer.type === 'cancel') return;
+  if (answer.type === 'none') {
+    delete pane.ready;
+    return;
+  }
+
+  const questions = {
+    port: { message: 'Port:', validate: input => (/^\d+$/.test(input) && input > 0 && input < 65536) || 'Enter a port number (1-65535)' },
+    file: { message: 'File (relative to the pane directory):', validate: input => input.length > 0 || 'Enter a file path' },
+    output: {
+      message: 'Pattern (grep -E syntax, matched against each line of output):',
+      validate: input => (input.length > 0 ? checkOutputPattern(input) || true : 'Enter a pattern')
+    },
+    delay: { message: 'Seconds:', validate: input => /^\d+(\.\d+)?$/.test(input) || 'Enter a number of seconds' }
+  };
+
+  const value = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'value',
+      default: pane.ready?.[answer.type] !== undefined ? String(pane.ready[answer.type]) : undefined,
+      ...questions[answer.type]
+    }
+  ]);
+  const ready = { [answer.type]: ['port', 'delay'].includes(answer.type) ? Number(value.value) : value.value };
+
+  if (answer.type !== 'delay') {
+    const timeout = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'timeout',
+        message: 'Give up after (seconds):',
+        default: String(pane.ready?.timeout ?? READY_TIMEOUT),
+        validate: input => /^[1-9]\d*$/.test(input) || 'Enter a whole number of seconds'
+      }
+    ]);
+    if (Number(timeout.timeout) !== READY_TIMEOUT) ready.timeout = Number(timeout.timeout);
+  }
+
+  pane.ready = ready;
+}
+
+// 재시작 정책 표시 ("on-failure, up to 5 times")
+function describeRestart(pane) {
+  const restart = restartPolicy(pane);
+  if (!restart) return 'never';
+  return restart.maxRetries > 0 ? `${restart.policy}, up to ${restart.maxRetries} times` : `${restart.policy}, no limit`;
+}
+
+// 재시작 정책 편집 (기본값 그대로면 정책 이름만 저장)
+async function editRestart(pane) {
+  const current = restartPolicy(pane);
+  const answer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'policy',
+      message: 'Restart the command when it exits:',
+      choices: [
+        { name: 'Never', value: 'never' },
+        { name: 'Only when it fails (non-zero exit)', value: 'on-failure' },
+        { name: 'Always', value: 'always' }
+      ],
+      default: current?.policy || 'never'
+    }
+  ]);
+
+  if (answer.policy === 'never') {
+    delete pane.restart;
+    return;
+  }
+
+  const retries = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'maxRetries',
+      message: 'Give up after this many restarts in a row (0 = never give up):',
+      default: String(current?.maxRetries ?? RESTART_DEFAULTS.maxRetries),
+      validate: input => /^\d+$/.test(input) || 'Enter a whole number'
+    }
+  ]);
+
+  const restart = { ...(typeof pane.restart === 'object' ? pane.restart : {}), policy: answer.policy };
+  if (Number(retries.maxRetries) === RESTART_DEFAULTS.maxRetries) delete restart.maxRetries;
+  else restart.maxRetries = Number(retries.maxRetries);
+  pane.restart = Object.keys(restart).length === 1 ? answer.policy : restart;
+}
+
+// 패널 편집 루프 (create/edit 공용)
+async function editPane(pane, paneIndex, panes) {
+  let editingPane = true;
+  while (editingPane) {
+    // Pane 0는 split 없음 (윈도우 생성 시 만들어짐)
+    const fieldChoices = [{ name: `Name: ${pane.name || '(none)'}`, value: 'name' }];
+    if (paneIndex > 0) {
+      fieldChoices.push({ name: `Split: ${pane.split}`, value: 'split' });
+    }
+    if (paneIndex > 1) {
+      fieldChoices.push({ name: `Split from: Pane ${pane.splitFrom ?? paneIndex - 1}`, value: 'splitFrom' });
+    }
+    fieldChoices.push(
+      { name: `Directory: ${pane.directory || '(base)'}`, value: 'directory' },
+      { name: `Command: ${pane.command || '(none)'}`, value: 'command' },
+      { name: `Resize: ${pane.resize ? `${pane.resize.type} ${pane.resize.value}` : '(none)'}`, value: 'resize' },
+      { name: `Stop command: ${pane.stopCommand || '(none)'}`, value: 'stopCommand' },
+      { name: `Environment: ${Object.keys(pane.env || {}).join(', ') || '(none)'}`, value: 'env' },
+      { name: `Starts after: ${[].concat(pane.dependsOn ?? []).join(', ') || '(nothing)'}`, value: 'dependsOn' },
+      { name: `Ready when: ${pane.ready ? describeReady(pane.ready) : '(its command is sent)'}`, value: 'ready' },
+      { name: `Restart: ${describeRestart(pane)}`, value: 'restart' },
+      new inquirer.Separator(),
+      { name: '← Done', value: 'done' }
+    );
+
+    const editChoice = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'field',
+        message: `Edit ${paneLabel(pane, paneIndex)}:`,
+        choices: fieldChoices
+      }
+    ]);
+
+    if (editChoice.field === 'done') {
+      editingPane = false;
+      break;
+    }
+
+    if (editChoice.field === 'split') {
+      const result = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'split',
+          message: 'Split direction:',
+          choices: ['horizontal', 'vertical', new inquirer.Separator(), '← Cancel'],
+          default: pane.split
+        }
+      ]);
+      if (result.split !== '← Cancel') {
+        pane.split = result.split;
+      }
+    }
+    else if (editChoice.field === 'name') {
+      const result = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'name',
+          message: 'Name (empty = none):',
+          default: pane.name || '',
+          validate: input => validatePaneName(input, panes, pane)
+        }
+      ]);
+      renamePane(panes, pane, result.name || null);
+    }
+    else if (editChoice.field === 'splitFrom') {
+      const splitFrom = await promptSplitFrom(panes, paneIndex, pane.splitFrom);
+      if (splitFrom === null) delete pane.splitFrom;
+      else if (splitFrom !== undefined) pane.splitFrom = splitFrom;
+    }
+    else if (editChoice.field === 'directory') {
+      const result = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'directory',
+          message: 'Directory (empty = base):',
+          default: pane.directory || ''
+        }
+      ]);
+      pane.directory = result.directory || null;
+    }
+    else if (editChoice.field === 'command') {
+      const result = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'command',
+          message: 'Command:',
+          default: pane.command || ''
+        }
+      ]);
+      pane.command = result.command;
+    }
+    else if (editChoice.field === 'env') {
+      await editEntries(pane, 'env', { message: `Environment for pane ${paneIndex}:`, noun: 'environment variable' });
+    }
+    else if (editChoice.field === 'dependsOn') {
+      const result = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'dependsOn',
+          message: 'Start after panes (names or numbers, "window.pane" for other windows; comma-separated, empty = none):',
+          default: [].concat(pane.dependsOn ?? []).join(', '),
+          validate: input => validateDependsOn(input, panes, pane)
+        }
+      ]);
+      const refs = parseDependsOn(result.dependsOn);
+      if (refs.length === 0) delete pane.dependsOn;
+      else pane.dependsOn = refs.length === 1 ? refs[0] : refs;
+    }
+    else if (editChoice.field === 'ready') {
+      await editReady(pane);
+    }
+    else if (editChoice.field === 'restart') {
+      await editRestart(pane);
+    }
+    else if (editChoice.field === 'stopCommand') {
+      const result = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'stopCommand',
+          message: 'Stop command (run by tx stop, empty = none):',
+          default: pane.stopCommand || ''
+        }
+      ]);
+      pane.stopCommand = result.stopCommand || null;
+    }
+    else if (editChoice.field === 'resize') {
+      const resizeTypeChoice = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'type',
+          message: 'Resize by:',
+          choices: ['width', 'height', new inquirer.Separator(), 'Disable', '← Cancel'],
+          default: pane.resize?.type || 'width'
+        }
+      ]);
+
+      if (resizeTypeChoice.type === '← Cancel') {
+        // Do nothing
+      } else if (resizeTypeChoice.type === 'Disable') {
+        pane.resize = null;
+      } else {
+        const sizeValue = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'value',
+            message: 'Size (lines or columns, or % of the window):',
+            default: String(pane.resize?.value || 10),
+            validate: validateSize
+          }
+        ]);
+        pane.resize = { type: resizeTypeChoice.type, value: parseSize(sizeValue.value) };
+      }
+    }
+  }
+}
+
+// 패널 이름 변경 (이름으로 분할 대상이나 의존 패널을 가리키던 패널도 함께 변경)
+function renamePane(panes, pane, name) {
+  const index = panes.indexOf(pane);
+  panes.forEach((other) => {
+    if (pane.name && other.splitFrom === pane.name) other.splitFrom = name ?? index;
+    if (pane.name && other.dependsOn !== undefined && other.dependsOn !== null) {
+      const refs = [].concat(other.dependsOn).map(ref => (ref === pane.name ? name ?? index : ref));
+      other.dependsOn = Array.isArray(other.dependsOn) ? refs : refs[0];
+    }
+  });
+  if (name) pane.name = name;
+  else delete pane.name;
+}
+
+// 패널 삭제 (뒤 패널의 splitFrom 번호를 맞추고, 삭제된 패널을 가리키던 것은 그 패널의 분할 대상으로)
+// dependsOn 도 번호를 맞춤
+function removePane(win, index) {
+  const sources = win.panes.map((pane, i) => paneIndexOf(win, pane.splitFrom ?? i - 1));
+  const [removedSource] = sources.splice(index, 1);
+  const [{ name: removedName }] = win.panes.splice(index, 1);
+
+  win.panes.forEach((pane, i) => {
+    if (pane.splitFrom === undefined || pane.splitFrom === null) return;
+
+    let from = sources[i];
+    if (from === index) from = removedSource;
+    else if (from > index) from--;
+
+    if (from === i - 1) delete pane.splitFrom;
+    else pane.splitFrom = typeof pane.splitFrom === 'string' ? win.panes[from].name || from : from;
+  });
+
+  // 같은 윈도우 패널 번호로 된 dependsOn 도 맞추고, 삭제된 패널에 대한 의존은 제거
+  win.panes.forEach((pane) => {
+    if (pane.dependsOn === undefined || pane.dependsOn === null) return;
+    const refs = [].concat(pane.dependsOn)
+      .filter(ref => ref !== index && !(removedName && ref === removedName))
+      .map(ref => (typeof ref === 'number' && ref > index ? ref - 1 : ref));
+    if (refs.length === 0) delete pane.dependsOn;
+    else pane.dependsOn = Array.isArray(pane.dependsOn) ? refs : refs[0];
+  });
+}
+
+// 캡처된 레이아웃 문자열은 패널 수가 바뀌면 맞지 않으므로 제거
+function dropLayoutString(win) {
+  if (isLayoutString(win.layout)) {
+    delete win.layout;
+    console.log(chalk.yellow(`⚠️  The layout string of "${win.name}" no longer matches its panes and was removed`));
+  }
+}
+
+// 패널 관리 (create/edit 공용)
+async function managePanes(config, action) {
+  const windowIndex = await selectWindow(config.windows, 'Which window?');
+  if (windowIndex === null) return;
+
+  const win = config.windows[windowIndex];
+
+  if (action === 'add') {
+    const paneIndex = win.panes.length;
+    const pane = await promptNewPane(win.panes);
+    if (pane) {
+      win.panes.push(pane);
+      console.log(chalk.green(`\n✅ Pane ${paneIndex} added to "${win.name}"`));
+      dropLayoutString(win);
+    }
+    return;
+  }
+
+  const paneChoices = win.panes
+    .map((p, i) => ({ name: `${paneLabel(p, i)}: ${p.command || '(no command)'}`, value: i }))
+    .filter((_, i) => action === 'edit' || i > 0); // Pane 0은 삭제 불가
+
+  if (paneChoices.length === 0) {
+    console.log(chalk.red('\n❌ Cannot remove the last pane'));
+    return;
+  }
+
+  paneChoices.push(new inquirer.Separator());
+  paneChoices.push({ name: '← Cancel', value: null });
+
+  const paneSelect = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'paneIndex',
+      message: action === 'edit' ? 'Which pane to edit?' : 'Which pane to remove?',
+      choices: paneChoices
+    }
+  ]);
+
+  if (paneSelect.paneIndex === null) return;
+
+  if (action === 'edit') {
+    await editPane(win.panes[paneSelect.paneIndex], paneSelect.paneIndex, win.panes);
+    console.log(chalk.green(`\n✅ Pane ${paneSelect.paneIndex} updated`));
+    return;
+  }
+
+  const confirm = await inquirer.prompt([
+    {
+      type: 'confirm',
+      name: 'sure',
+      message: `Remove pane ${paneSelect.paneIndex} from "${win.name}"?`,
+      default: false
+    }
+  ]);
+
+  if (confirm.sure) {
+    removePane(win, paneSelect.paneIndex);
+    console.log(chalk.green(`\n✅ Pane ${paneSelect.paneIndex} removed`));
+    dropLayoutString(win);
+  }
+}
+
+// 윈도우 관리: 추가, 이름 변경, 순서 변경, 삭제 (create/edit 공용)
+async function manageWindows(config, action) {
+  const { windows } = config;
+
+  if (action === 'add') {
+    const name = await promptWindowName(windows);
+    const details = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'directory',
+        message: 'Directory (empty = base):',
+        default: ''
+      },
+      {
+        type: 'input',
+        name: 'command',
+        message: 'Pane 0 - Command:',
+        default: ''
+      }
+    ]);
+    windows.push({
+      name,
+      panes: [{ command: details.command, directory: details.directory || null }]
+    });
+    console.log(chalk.green(`\n✅ Window "${name}" added`));
+    return;
+  }
+
+  if (action === 'remove' && windows.length === 1) {
+    console.log(chalk.red('\n❌ Cannot remove the last window'));
+    return;
+  }
+
+  const windowIndex = windows.length === 1
+    ? 0
+    : (await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'windowIndex',
+          message: `Which window to ${action}?`,
+          choices: [
+            ...windows.map((win, i) => ({ name: `Window ${i}: ${win.name}`, value: i })),
+            new inquirer.Separator(),
+            { name: '← Cancel', value: null }
+          ]
+        }
+      ])).windowIndex;
+
+  if (windowIndex === null) return;
+
+  const win = windows[windowIndex];
+
+  if (action === 'rename') {
+    win.name = await promptWindowName(windows, win.name);
+  }
+
+  else if (action === 'move') {
+    const answer = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'position',
+        message: `Move "${win.name}" to position:`,
+        choices: windows.map((w, i) => ({ name: `${i}${i === windowIndex ? ' (current)' : ''}`, value: i })),
+        default: windowIndex
+      }
+    ]);
+    windows.splice(windowIndex, 1);
+    windows.splice(answer.position, 0, win);
+  }
+
+  else if (action === 'remove') {
+    const confirm = await inquirer.prompt([
+      {
+        type: 'confirm',
+        name: 'sure',
+        message: `Remove window "${win.name}" and its ${win.panes.length} panes?`,
+        default: false
+      }
+    ]);
+    if (confirm.sure) {
+      windows.splice(windowIndex, 1);
+      console.log(chalk.green(`\n✅ Window "${win.name}" removed`));
+    }
+  }
+}
+
+// 이름=값 목록 편집 루프 (변수, 환경 변수 공용)
+// owner[field] 를 직접 수정하며 비면 필드를 삭제
+async function editEntries(owner, field, { message, noun }) {
+  const entries = owner[field] || {};
+
+  while (true) {
+    const choices = Object.entries(entries).map(([name, value]) => ({
+      name: `${name} = ${value}`,
+      value: name
+    }));
+    choices.push(new inquirer.Separator());
+    choices.push({ name: chalk.green(`➕ Add ${noun}`), value: '__add' });
+    choices.push({ name: '← Done', value: '__done' });
+
+    const answer = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'entry',
+        message,
+        choices
+      }
+    ]);
+
+    if (answer.entry === '__done') break;
+
+    if (answer.entry === '__add') {
+      const result = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'name',
+          message: 'Name:',
+          validate: input => /^[A-Za-z_][A-Za-z0-9_]*$/.test(input) || 'Use letters, digits and _ only'
+        },
+        {
+          type: 'input',
+          name: 'value',
+          message: 'Value:'
+        }
+      ]);
+      entries[result.name] = result.value;
+      continue;
+    }
+
+    const result = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'value',
+        message: `Value for ${answer.entry} (empty = remove):`,
+        default: entries[answer.entry]
+      }
+    ]);
+    if (result.value === '') delete entries[answer.entry];
+    else entries[answer.entry] = result.value;
+  }
+
+  if (Object.keys(entries).length > 0) owner[field] = entries;
+  else delete owner[field];
+}
+
+// 템플릿 변수 편집
+function editVariables(config) {
+  return editEntries(config, 'vars', {
+    message: 'Variables (used as ${name} in base dir, directories, commands and env):',
+    noun: 'variable'
+  });
+}
+
+// 그룹 편집 (쉼표로 구분, 비우면 그룹 없음)
+async function editGroups(config) {
+  const answer = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'groups',
+      message: 'Groups (comma-separated, e.g. fullstack, backend; empty = none):',
+      default: (config.groups || []).join(', '),
+      validate: input => {
+        const invalid = parseGroups(input).find(group => !PANE_NAME_PATTERN.test(group));
+        return invalid ? `"${invalid}": use letters, digits, "-" and "_", starting with a letter` : true;
+      }
+    }
+  ]);
+
+  const groups = parseGroups(answer.groups);
+  if (groups.length > 0) config.groups = groups;
+  else delete config.groups;
+}
+
+// 쉼표로 구분된 그룹 목록 (중복 제거)
+function parseGroups(input) {
+  return [...new Set(input.split(',').map(group => group.trim()).filter(Boolean))];
+}
+
+// 워크스페이스 환경 변수 편집 (env 맵 + envFile)
+async function editWorkspaceEnv(config) {
+  const answer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'field',
+      message: 'Environment:',
+      choices: [
+        { name: `Variables: ${Object.keys(config.env || {}).join(', ') || '(none)'}`, value: 'env' },
+        { name: `Env file: ${config.envFile || '(none)'}`, value: 'envFile' },
+        new inquirer.Separator(),
+        { name: '← Cancel', value: 'cancel' }
+      ]
+    }
+  ]);
+
+  if (answer.field === 'env') {
+    await editEntries(config, 'env', { message: 'Environment for all panes:', noun: 'environment variable' });
+  } else if (answer.field === 'envFile') {
+    const result = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'envFile',
+        message: 'Env file (dotenv format, relative to base dir, empty = none):',
+        default: config.envFile || ''
+      }
+    ]);
+    if (result.envFile) config.envFile = result.envFile;
+    else delete config.envFile;
+  }
+}
+
+// 현재 설정 요약 출력 (create/edit 화면 공용)
+function printConfigSummary(config) {
+  console.log(chalk.cyan('Current Configuration:'));
+  console.log(chalk.white(`  Name: ${config.name || chalk.gray('(not set)')}`));
+  console.log(chalk.white(`  Base Dir: ${config.baseDir}`));
+  if (config.groups?.length) console.log(chalk.white(`  Groups: ${config.groups.join(', ')}`));
+  if (config.env || config.envFile) {
+    console.log(chalk.white(`  Env: ${[...Object.keys(config.env || {}), config.envFile].filter(Boolean).join(', ')}`));
+  }
+  for (const hook of HOOKS) {
+    const commands = [].concat(config.hooks?.[hook] || []);
+    if (commands.length > 0) console.log(chalk.white(`  ${hook}: ${commands.join(' && ')}`));
+  }
+  if (config.layout) console.log(chalk.white(`  Layout: ${describeLayout(config.layout)}`));
+  console.log(chalk.white(`  Windows: ${config.windows.length}, Panes: ${countPanes(config)}`));
+
+  config.windows.forEach((win, w) => {
+    const layout = describeLayout(windowLayout(config, win));
+    console.log(chalk.white(`    Window ${w}: ${win.name}${layout ? chalk.gray(` (${layout})`) : ''}`));
+    win.panes.forEach((pane, i) => {
+      console.log(chalk.gray(`      ${describePane(pane, i)}`));
+    });
+  });
+
+  const { missing } = substituteVariables(config);
+  if (missing.length > 0) {
+    console.log(chalk.yellow(`  ⚠️  Environment variables not set: ${missing.join(', ')}`));
+  }
+}
+
+// 훅 편집 (명령이 여러 개면 && 로 이어서 입력)
+async function editHooks(config) {
+  const labels = {
+    beforeLoad: 'before every load',
+    beforeFirstCreate: 'before the session is first created',
+    afterLoad: 'after the session is ready',
+    onStop: 'after tx stop'
+  };
+
+  while (true) {
+    const answer = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'hook',
+        message: 'Hooks (run in the base directory):',
+        choices: [
+          ...HOOKS.map(hook => ({
+            name: `${hook}: ${[].concat(config.hooks?.[hook] || []).join(' && ') || chalk.gray(`(none, ${labels[hook]})`)}`,
+            value: hook
+          })),
+          new inquirer.Separator(),
+          { name: '← Done', value: 'done' }
+        ]
+      }
+    ]);
+
+    if (answer.hook === 'done') break;
+
+    const result = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'command',
+        message: `${answer.hook} command (empty = none):`,
+        default: [].concat(config.hooks?.[answer.hook] || []).join(' && ')
+      }
+    ]);
+
+    config.hooks = config.hooks || {};
+    if (result.command) config.hooks[answer.hook] = result.command;
+    else delete config.hooks[answer.hook];
+    if (Object.keys(config.hooks).length === 0) delete config.hooks;
+  }
+}
+
+const LAYOUT_DESCRIPTIONS = {
+  'even-horizontal': 'side by side, equal widths',
+  'even-vertical': 'stacked, equal heights',
+  'main-horizontal': 'large pane on top, the rest below',
+  'main-vertical': 'large pane on the left, the rest beside it',
+  'tiled': 'grid of equal panes'
+};
+
+// 레이아웃 표시용 이름 (캡처된 문자열은 길어서 줄임)
+function describeLayout(layout) {
+  if (!layout) return null;
+  return isLayoutString(layout) ? 'custom layout string' : layout;
+}
+
+// 레이아웃 선택 (null = 없음, undefined = 취소)
+async function promptLayout(current, noneLabel) {
+  const answer = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'layout',
+      message: 'Layout (applied after all panes are created):',
+      choices: [
+        { name: noneLabel, value: null },
+        ...LAYOUT_PRESETS.map(preset => ({ name: `${preset} ${chalk.gray(`- ${LAYOUT_DESCRIPTIONS[preset]}`)}`, value: preset, short: preset })),
+        { name: 'Custom layout string...', value: 'custom' },
+        new inquirer.Separator(),
+        { name: '← Cancel', value: 'cancel' }
+      ],
+      default: isLayoutString(current) ? 'custom' : current || null
+    }
+  ]);
+
+  if (answer.layout === 'cancel') return undefined;
+  if (answer.layout !== 'custom') return answer.layout;
+
+  const result = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'layout',
+      message: 'Layout string (from tmux list-windows -F \'#{window_layout}\'):',
+      default: isLayoutString(current) ? current : '',
+      validate: input => LAYOUT_SCHEMA.pattern.test(input.trim()) || 'Not a tmux layout string'
+    }
+  ]);
+  return result.layout.trim();
+}
+
+// 워크스페이스 기본 레이아웃과 윈도우별 레이아웃 편집
+async function editLayout(config) {
+  while (true) {
+    const answer = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'target',
+        message: 'Which layout?',
+        choices: [
+          { name: `All windows (default): ${describeLayout(config.layout) || chalk.gray('(none, use pane splits)')}`, value: 'all' },
+          ...config.windows.map((win, w) => ({
+            name: `Window ${w}: ${win.name}: ${describeLayout(win.layout) || chalk.gray('(default)')}`,
+            value: w
+          })),
+          new inquirer.Separator(),
+          { name: '← Done', value: 'done' }
+        ]
+      }
+    ]);
+
+    if (answer.target === 'done') break;
+
+    if (answer.target === 'all') {
+      const layout = await promptLayout(config.layout, 'None (use pane splits and sizes)');
+      if (layout === undefined) continue;
+      if (layout) config.layout = layout;
+      else delete config.layout;
+    } else {
+      const win = config.windows[answer.target];
+      const layout = await promptLayout(win.layout, 'Workspace default');
+      if (layout === undefined) continue;
+      if (layout) win.layout = layout;
+      else delete win.layout;
+    }
+  }
+}
+
+// 생성될 스크립트 미리보기 (Enter 로 돌아감)
+async function previewScript(config) {
+  console.clear();
+  console.log(chalk.blue.bold(`📜 ${config.name}.sh\n`));
+  console.log(highlightScript(generateScript(config)));
+  await inquirer.prompt([{ type: 'input', name: 'back', message: 'Press Enter to go back' }]);
+}
+
+// 현재 터미널 크기 기준 레이아웃 미리보기 (Enter 로 돌아감)
+async function previewLayout(config) {
+  console.clear();
+  console.log(chalk.blue.bold(`🖼️  ${config.name || 'Workspace'} layout\n`));
+  printLayouts(config, terminalSize(), { maxWidth: terminalSize().width, maxHeight: 16 });
+  await inquirer.prompt([{ type: 'input', name: 'back', message: 'Press Enter to go back' }]);
+}
+
+// 메뉴로 돌아가기 전 에러 표시 (메뉴가 화면을 지우므로 Enter 를 기다림)
+async function showMenuError(err) {
+  console.error(chalk.red(`\n❌ ${err.message}`));
+  await inquirer.prompt([{ type: 'input', name: 'back', message: 'Press Enter to go back' }]);
+}
+
+// 워크스페이스 생성 메뉴 (create/init 공용, 취소하면 false)
+async function promptWorkspace(config, title = 'Create Workspace') {
+  let editing = true;
+
+  while (editing) {
+    // 현재 설정 상태 표시
+    console.clear();
+    console.log(chalk.blue.bold(`🚀 ${title}\n`));
+    printConfigSummary(config);
+
+    console.log();
+
+    // 편집 가능한 필드 목록 생성
+    const choices = [];
+
+    // 기본 설정
+    choices.push(new inquirer.Separator(chalk.yellow('── Basic ──')));
+    choices.push({
+      name: `  Name: ${config.name || chalk.gray('(required)')}`,
+      value: 'edit-name'
+    });
+    choices.push({
+      name: `  Base directory: ${config.baseDir}`,
+      value: 'edit-basedir'
+    });
+    choices.push({
+      name: `  Groups: ${(config.groups || []).join(', ') || chalk.gray('(none)')}`,
+      value: 'edit-groups'
+    });
+    choices.push({
+      name: `  Variables: ${Object.keys(config.vars || {}).join(', ') || chalk.gray('(none)')}`,
+      value: 'edit-vars'
+    });
+    choices.push({
+      name: `  Environment: ${[...Object.keys(config.env || {}), config.envFile].filter(Boolean).join(', ') || chalk.gray('(none)')}`,
+      value: 'edit-env'
+    });
+    choices.push({
+      name: `  Hooks: ${HOOKS.filter(hook => config.hooks?.[hook]).join(', ') || chalk.gray('(none)')}`,
+      value: 'edit-hooks'
+    });
+    choices.push({
+      name: `  Layout: ${[describeLayout(config.layout), ...config.windows.filter(win => win.layout).map(win => `${win.name}: ${describeLayout(win.layout)}`)].filter(Boolean).join(', ') || chalk.gray('(pane splits)')}`,
+      value: 'edit-layout'
+    });
+
+    // 윈도우별 패널
+    config.windows.forEach((win, w) => {
+      choices.push(new inquirer.Separator(chalk.yellow(`── Window ${w}: ${win.name} ──`)));
+      win.panes.forEach((pane, i) => {
+        const label = i === 0
+          ? `${paneLabel(pane, 0)} - Command: ${pane.command || chalk.gray('(none)')}`
+          : `${paneLabel(pane, i)}: ${pane.split} ${pane.command ? `"${pane.command}"` : ''}`;
+        choices.push({
+          name: `  ${label}`,
+          value: `edit-pane-${w}-${i}`
+        });
+      });
+    });
+
+    // 액션들
+    choices.push(new inquirer.Separator(chalk.yellow('── Actions ──')));
+    choices.push({
+      name: chalk.green('  ➕ Add pane'),
+      value: 'add-pane'
+    });
+
+    if (config.windows.some(win => win.panes.length > 1)) {
+      choices.push({
+        name: chalk.red('  ➖ Remove pane'),
+        value: 'remove-pane'
+      });
+    }
+
+    choices.push({
+      name: chalk.green('  ➕ Add window'),
+      value: 'add-window'
+    });
+    choices.push({
+      name: '  ✏️  Rename window',
+      value: 'rename-window'
+    });
+
+    if (config.windows.length > 1) {
+      choices.push({
+        name: '  ↕️  Move window',
+        value: 'move-window'
+      });
+      choices.push({
+        name: chalk.red('  ➖ Remove window'),
+        value: 'remove-window'
+      });
+    }
+
+    choices.push(new inquirer.Separator());
+
+    if (config.name) {
+      choices.push({
+        name: '  📜 Preview script',
+        value: 'preview'
+      });
+      choices.push({
+        name: '  🖼️  Preview layout',
+        value: 'preview-layout'
+      });
+      choices.push({
+        name: chalk.green.bold('  ✅ Create workspace'),
+        value: 'create'
+      });
+    }
+
+    choices.push({
+      name: chalk.gray('  ❌ Cancel'),
+      value: 'cancel'
+    });
+
+    // 메뉴 표시
+    const answer = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'Select field to edit:',
+        choices,
+        pageSize: 20
+      }
+    ]);
+
+    // 액션 처리
+    if (answer.action === 'edit-name') {
+      const result = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'name',
+          message: 'Workspace name:',
+          default: config.name,
+          validate: validateWorkspaceName
+        }
+      ]);
+      config.name = result.name;
+    }
+
+    else if (answer.action === 'edit-vars') {
+      await editVariables(config);
+    }
+
+    else if (answer.action === 'edit-env') {
+      await editWorkspaceEnv(config);
+    }
+
+    else if (answer.action === 'edit-hooks') {
+      await editHooks(config);
+    }
+
+    else if (answer.action === 'edit-layout') {
+      await editLayout(config);
+    }
+
+    else if (answer.action === 'edit-groups') {
+      await editGroups(config);
+    }
+
+    else if (answer.action === 'edit-basedir') {
+      const result = await inquirer.prompt([
+        {
+          type: 'input',
+          name: 'baseDir',
+          message: 'Base directory:',
+          default: config.baseDir
+        }
+      ]);
+      config.baseDir = result.baseDir;
+    }
+
+    else if (answer.action.startsWith('edit-pane-')) {
+      const [windowIndex, paneIndex] = answer.action.split('-').slice(2).map(Number);
+      await editPane(config.windows[windowIndex].panes[paneIndex], paneIndex, config.windows[windowIndex].panes);
+    }
+
+    else if (answer.action === 'add-pane') {
+      await managePanes(config, 'add');
+    }
+
+    else if (answer.action === 'remove-pane') {
+      await managePanes(config, 'remove');
+    }
+
+    else if (answer.action.endsWith('-window')) {
+      await manageWindows(config, answer.action.replace('-window', ''));
+    }
+
+    else if (answer.action === 'preview') {
+      try {
+        await previewScript(config);
+      } catch (err) {
+        await showMenuError(err);
+      }
+    }
+
+    else if (answer.action === 'preview-layout') {
+      await previewLayout(config);
+    }
+
+    else if (answer.action === 'create') {
+      // 저장할 수 없는 설정이면 입력한 내용을 잃지 않도록 메뉴로 돌아감
+      try {
+        assertValidConfig(config);
+        generateScript(config);
+        editing = false;
+      } catch (err) {
+        await showMenuError(err);
+      }
+    }
+
+    else if (answer.action === 'cancel') {
+      console.log(chalk.yellow('\nCancelled'));
+      return false;
+    }
+  }
+
+  return true;
+}
+
+// CREATE 명령어
+program
+  .command('create [name]')
+  .description('Create a new tmux workspace (interactively, or from options when a name is given)')
+  .option('--dir <dir>', 'Base directory (default: current directory)')
+  .option('-t, --template <template>', 'Start from a template (see tx template list)')
+  .option('--var <name=value>', 'Set a template variable instead of being asked (repeatable)', collect, [])
+  .option('--pane <spec>', 'Add a pane: "[v|h:]command[:size%]", e.g. "npm run dev" or "v:npm test:30%" (repeatable)', collect, [])
+  .option('--window-name <name>', 'Name of the window (default: main)')
+  .option('--layout <layout>', 'Window layout preset or layout string')
+  .option('-g, --group <group>', 'Add the workspace to a group (repeatable)', collect, [])
+  .option('--set <path=value>', 'Set a config field, e.g. env.NODE_ENV=development (repeatable)', collect, [])
+  .option('--set-json <path=json>', 'Set a config field to a JSON value, e.g. vars={"port":"3000"} (repeatable)', collect, [])
+  .action(async (name, options) => {
+    // 이름이 있으면 옵션만으로 생성 (스크립트용), 없으면 옵션 값에서 시작하는 대화형 생성
+    if (name) {
+      const nameCheck = validateWorkspaceName(name);
+      if (nameCheck !== true) throw new Error(nameCheck);
+      if (existsSync(path.join(SCRIPT_DIR, `${name}.sh`)) || existsSync(path.join(CONFIG_DIR, `${name}.json`))) {
+        throw new Error(`Workspace "${name}" already exists`);
+      }
+    } else {
+      requireTTY('pass a name and options instead, e.g. tx create api --dir ~/api --pane "npm run dev"');
+    }
+
+    const baseDir = options.dir ? path.resolve(options.dir) : process.cwd();
+    let config;
+
+    if (options.template) {
+      const template = await loadTemplate(options.template);
+      config = configFromTemplate(template, name || template.name, options.dir && baseDir);
+      config.name = name || '';
+      await promptTemplateVars(config, parseVarOptions(options.var));
+      if (options.windowName) config.windows[0].name = options.windowName;
+    } else {
+      if (options.var.length > 0) throw new Error('--var is only used with --template (use --set-json vars=... otherwise)');
+      config = {
+        name: name || '',
+        baseDir,
+        windows: [{ name: options.windowName || 'main', panes: [{ command: '' }] }]
+      };
+    }
+
+    if (options.pane.length > 0) {
+      config.windows[0].panes = options.pane.map(parsePaneSpec);
+    }
+    if (options.layout) config.windows[0].layout = options.layout;
+    if (options.group.length > 0) config.groups = [...new Set([...(config.groups || []), ...options.group])];
+    applySetOptions(config, options);
+
+    if (name) {
+      await saveScript(config.name, config);
+      await saveConfig(config.name, config);
+
+      console.log(chalk.green(`✅ Workspace "${config.name}" created`));
+      return;
+    }
+
+    console.log(chalk.blue.bold('\n🚀 Create a new tmux workspace\n'));
+
+    // 스크립트 생성 및 저장 (실패하면 메뉴로 돌아감)
+    while (true) {
+      if (!(await promptWorkspace(config))) return;
+      try {
+        await saveScript(config.name, config);
+        break;
+      } catch (err) {
+        await showMenuError(err);
+      }
+    }
+    await saveConfig(config.name, config);
+
+    console.log(chalk.green.bold(`\n✅ Workspace "${config.name}" created!\n`));
+    console.log(chalk.gray(`Run: ${chalk.white(`tx load ${config.name}`)}`));
+  });
+
+// LOAD 명령어
+program
+  .command('load [workspace]')
+  .description('Load a tmux workspace, or all workspaces of a group')
+  .option('--direct', 'Run tmux commands from the config directly instead of the generated script')
+  .option('-d, --detach', 'Create the session without attaching or switching to it')
+  .option('--var <name=value>', 'Set a template variable (repeatable)', collect, [])
+  .option('-n, --dry-run', 'Print the hooks and tmux commands that would run, without running them')
+  .option('-g, --group <group>', 'Load every workspace in the group (detached) and attach to one of them')
+  .option('-p, --primary <workspace>', 'With --group: the workspace to attach to')
+  .action(async (workspace, options) => {
+    if (options.group) {
+      if (workspace) throw new Error('Give either a workspace or --group (use --primary to choose where to attach)');
+      if (options.dryRun || options.var.length > 0) throw new Error('--dry-run and --var cannot be used with --group');
+      await loadGroup(options.group, { primary: options.primary, detach: options.detach });
+      return;
+    }
+
+    if (!workspace) {
+      console.error(chalk.red('❌ Specify a workspace or --group (use tx up for the project workspace)'));
+      process.exit(1);
+    }
+
+    const config = await loadConfig(workspace);
+
+    if (options.dryRun) {
+      if (!config) {
+        console.error(chalk.red(`❌ Workspace config "${workspace}" not found`));
+        process.exit(1);
+      }
+      await printPlan(config, { vars: parseVarOptions(options.var), detach: options.detach });
+      return;
+    }
+
+    if (config || existsSync(path.join(SCRIPT_DIR, `${workspace}.sh`))) {
+      await recordUsage(workspace);
+    }
+
+    // 변수를 덮어쓰거나 환경 변수, env 파일을 쓰면 스크립트 대신 설정에서 직접 실행
+    if (options.direct || options.var.length > 0 || (config && loadsFromConfig(config))) {
+      if (!config) {
+        console.error(chalk.red(`❌ Workspace config "${workspace}" not found`));
+        process.exit(1);
+      }
+
+      try {
+        await loadWorkspace(config, { detach: options.detach, vars: parseVarOptions(options.var) });
+      } catch (err) {
+        console.error(chalk.red(`❌ Failed to load: ${err.message}`));
+        process.exit(1);
+      }
+      return;
+    }
+
+    const script = path.join(SCRIPT_DIR, `${workspace}.sh`);
+
+    if (!existsSync(script)) {
+      console.error(chalk.red(`❌ Workspace "${workspace}" not found`));
+      process.exit(1);
+    }
+
+    // 훅이 있으면 스크립트로 세션만 만들고, 훅 실행과 붙기는 여기서 처리
+    if (config?.hooks) {
+      try {
+        await loadWorkspace(config, { scriptPath: script, detach: options.detach });
+      } catch (err) {
+        console.error(chalk.red(`❌ Failed to load: ${err.message}`));
+        process.exit(1);
+      }
+      return;
+    }
+
+    const env = options.detach ? { ...process.env, TX_DETACH: '1' } : process.env;
+    const proc = spawn('bash', [script], { stdio: 'inherit', env });
+
+    proc.on('exit', (code) => {
+      if (code !== 0) process.exitCode = code;
+      else if (options.detach) console.log(chalk.green(`✅ Workspace "${workspace}" is running (detached)`));
+    });
+  });
+
+// UP 명령어
+program
+  .command('up')
+  .description('Load the project workspace (.tx.json / tx.yaml) found from the current directory')
+  .option('-d, --detach', 'Create the session without attaching or switching to it')
+  .option('--var <name=value>', 'Set a template variable (repeatable)', collect, [])
+  .option('-n, --dry-run', 'Print the hooks and tmux commands that would run, without running them')
+  .action(async (options) => {
+    const file = findProjectFile();
+
+    if (!file) {
+      console.error(chalk.red(`❌ No project workspace found (looked for ${PROJECT_FILES.join(', ')})`));
+      console.log(chalk.gray(`Run: ${chalk.white('tx init')}`));
+      process.exit(1);
+    }
+
+    try {
+      const config = await loadProjectConfig(file);
+      if (options.dryRun) {
+        await printPlan(config, { vars: parseVarOptions(options.var), detach: options.detach });
+        return;
+      }
+      await recordUsage(file);
+      console.log(chalk.green(`\n🚀 Loading ${config.name} (${file})...\n`));
+      await loadWorkspace(config, { detach: options.detach, vars: parseVarOptions(options.var) });
+    } catch (err) {
+      console.error(chalk.red(`❌ Failed to load ${file}: ${err.message}`));
+      process.exit(1);
+    }
+  });
+
+// SHOW 명령어
+program
+  .command('show [workspace]')
+  .description('Show a workspace and the tmux commands it would run (default: the project workspace)')
+  .option('--var <name=value>', 'Set a template variable (repeatable)', collect, [])
+  .option('-l, --layout', 'Draw the pane layout of each window instead of the commands')
+  .option('--size <WxH>', 'Terminal size for --layout (default: the current terminal)')
+  .action(async (workspace, options) => {
+    const size = options.size ? /^(\d+)x(\d+)$/.exec(options.size) : null;
+    if (options.size && !size) {
+      console.error(chalk.red(`❌ Invalid size "${options.size}" (expected e.g. 120x40)`));
+      process.exit(1);
+    }
+
+    let config;
+    if (workspace) {
+      config = await loadConfig(workspace);
+    } else {
+      const file = findProjectFile();
+      config = file && await loadProjectConfig(file);
+    }
+
+    if (!config) {
+      console.error(chalk.red(workspace ? `❌ Workspace config "${workspace}" not found` : '❌ No workspace given and no project workspace found'));
+      process.exit(1);
+    }
+
+    console.log(chalk.blue.bold(`\n📄 ${config.name}\n`));
+    printConfigSummary(config);
+    console.log();
+
+    if (options.layout) {
+      const terminal = size ? { width: Number(size[1]), height: Number(size[2]) } : terminalSize();
+      printLayouts(config, terminal, { maxWidth: Math.min(terminalSize().width, 120), maxHeight: 30 });
+      return;
+    }
+
+    await printPlan(config, { vars: parseVarOptions(options.var) });
+    console.log();
+  });
+
+// INIT 명령어
+program
+  .command('init')
+  .description('Create a project workspace file in the current directory')
+  .option('--yaml', 'Write tx.yaml instead of .tx.json')
+  .option('-f, --force', 'Overwrite an existing project workspace file')
+  .action(async (options) => {
+    requireTTY('write .tx.json by hand, or export an existing workspace with tx export <workspace> -o .tx.json');
+
+    const file = path.join(process.cwd(), options.yaml ? 'tx.yaml' : '.tx.json');
+
+    if (existsSync(file) && !options.force) {
+      console.error(chalk.red(`❌ ${path.basename(file)} already exists (use --force to overwrite)`));
+      process.exit(1);
+    }
+
+    // 저장소와 함께 옮겨질 수 있도록 기준 디렉토리는 상대 경로로
+    const config = {
+      name: path.basename(process.cwd()),
+      baseDir: '.',
+      windows: [{ name: 'main', panes: [{ command: '' }] }]
+    };
+
+    if (!(await promptWorkspace(config, 'Create Project Workspace'))) return;
+
+    const content = options.yaml ? YAML.stringify(config) : JSON.stringify(config, null, 2) + '\n';
+    await writeFile(file, content);
+
+    console.log(chalk.green.bold(`\n✅ ${path.basename(file)} created!\n`));
+    console.log(chalk.gray(`Run: ${chalk.white('tx up')}`));
+  });
+
+// SAVE 명령어
+program
+  .command('save <session> [name]')
+  .description('Save a running tmux session as a workspace')
+  .option('-o, --overwrite', 'Overwrite an existing workspace with the current state of the session')
+  .action(async (session, name, options) => {
+    name = name || session;
+
+    const nameCheck = validateWorkspaceName(name);
+    if (nameCheck !== true) {
+      console.error(chalk.red(`❌ ${nameCheck}`));
+      process.exit(1);
+    }
+
+    if (!(await hasSession(session))) {
+      console.error(chalk.red(`❌ tmux session "${session}" is not running`));
+      process.exit(1);
+    }
+
+    const existing = await loadConfig(name).catch(() => null);
+    if ((existing || existsSync(path.join(SCRIPT_DIR, `${name}.sh`))) && !options.overwrite) {
+      console.error(chalk.red(`❌ Workspace "${name}" already exists`));
+      console.log(chalk.gray(`Use ${chalk.white(`tx save ${session} ${name} --overwrite`)} to replace it`));
+      process.exit(1);
+    }
+
+    try {
+      // 기존 설정의 나머지 항목은 유지하고 윈도우/패널만 교체 (tx 가 만든 패널은 저장된 항목 유지)
+      const { baseDir, windows, positions } = await captureSession(session, existing?.baseDir);
+      const config = { ...(existing || {}), name, baseDir, windows: existing ? mergeCapturedWindows(existing, windows, positions) : windows };
+
+      await saveScript(name, config);
+      await saveConfig(name, config);
+
+      console.log(chalk.green.bold(`\n✅ Session "${session}" saved as workspace "${name}"!\n`));
+      console.log(chalk.gray(`  ${config.windows.length} windows, ${countPanes(config)} panes`));
+      console.log(chalk.gray(`Run: ${chalk.white(`tx load ${name}`)}`));
+    } catch (err) {
+      console.error(chalk.red(`❌ Failed to save session: ${err.message}`));
+      process.exit(1);
+    }
+  });
+
+// IMPORT 명령어
+program
+  .command('import <file> [name]')
+  .description('Import a tmuxinator or tmuxp project file')
+  .option('-o, --overwrite', 'Overwrite an existing workspace')
+  .action(async (file, name, options) => {
+    let doc;
+    try {
+      doc = YAML.parse(await readFile(file, 'utf-8'));
+    } catch (err) {
+      console.error(chalk.red(`❌ Failed to read ${file}: ${err.message}`));
+      process.exit(1);
+    }
+
+    const format = detectFormat(doc);
+    if (!format) {
+      console.error(chalk.red(`❌ Could not detect the format of ${file} (expected tmuxinator, tmuxp or tx JSON)`));
+      process.exit(1);
+    }
+
+    let config, warnings;
+    try {
+      ({ config, warnings } = format === 'tmuxinator'
+        ? fromTmuxinator(doc)
+        : format === 'tmuxp'
+          ? fromTmuxp(doc)
+          : { config: migrateConfig(doc), warnings: [] });
+    } catch (err) {
+      console.error(chalk.red(`❌ Failed to import: ${err.message}`));
+      process.exit(1);
+    }
+
+    config.name = name || config.name || path.basename(file, path.extname(file));
+
+    const nameCheck = validateWorkspaceName(config.name);
+    if (nameCheck !== true) {
+      console.error(chalk.red(`❌ ${nameCheck}`));
+      process.exit(1);
+    }
+
+    if (existsSync(path.join(SCRIPT_DIR, `${config.name}.sh`)) && !options.overwrite) {
+      console.error(chalk.red(`❌ Workspace "${config.name}" already exists`));
+      console.log(chalk.gray(`Use ${chalk.white('--overwrite')} to replace it, or pass a different name`));
+      process.exit(1);
+    }
+
+    try {
+      await saveScript(config.name, config);
+    } catch (err) {
+      console.error(chalk.red(`❌ Failed to import: ${err.message}`));
+      process.exit(1);
+    }
+    await saveConfig(config.name, config);
+
+    console.log(chalk.green.bold(`\n✅ Imported ${format} project as "${config.name}"!\n`));
+    console.log(chalk.gray(`  ${config.windows.length} windows, ${countPanes(config)} panes`));
+
+    if (warnings.length > 0) {
+      console.log(chalk.yellow('\n⚠️  Some features could not be mapped:'));
+      warnings.forEach(warning => console.log(chalk.yellow(`  - ${warning}`)));
+    }
+
+    console.log(chalk.gray(`\nRun: ${chalk.white(`tx load ${config.name}`)}`));
+  });
+
+// EXPORT 명령어
+program
+  .command('export <workspace>')
+  .description('Export a workspace as a tmuxinator, tmuxp or tx JSON file')
+  .option('-f, --format <format>', 'Output format: tmuxinator, tmuxp or json', 'json')
+  .option('-o, --output <file>', 'Write to a file instead of stdout')
+  .action(async (workspace, options) => {
+    const config = await loadConfig(workspace);
+
+    if (!config) {
+      console.error(chalk.red(`❌ Workspace "${workspace}" not found`));
+      process.exit(1);
+    }
+
+    let output;
+    let warnings = [];
+
+    if (options.format === 'json') {
+      output = JSON.stringify(config, null, 2) + '\n';
+    } else if (options.format === 'tmuxinator' || options.format === 'tmuxp') {
+      const result = options.format === 'tmuxinator' ? toTmuxinator(config) : toTmuxp(config);
+      output = YAML.stringify(result.doc);
+      warnings = result.warnings;
+    } else {
+      console.error(chalk.red(`❌ Unknown format "${options.format}" (use tmuxinator, tmuxp or json)`));
+      process.exit(1);
+    }
+
+    // 경고는 stderr 로 (stdout 은 파이프 가능하게 유지)
+    warnings.forEach(warning => console.error(chalk.yellow(`⚠️  ${warning}`)));
+
+    if (options.output) {
+      await writeFile(options.output, output);
+      console.error(chalk.green(`✅ Exported "${workspace}" to ${options.output}`));
+    } else {
+      process.stdout.write(output);
+    }
+  });
+
+// LIST 명령어
+program
   .command('list')
   .alias('ls')
   .description('List all workspaces')
   .option('-i, --interactive', 'Interactive mode (select and load)')
+  .option('--no-interactive', 'Print a plain list (default when not run in a terminal)')
+  .option('--json', 'Print workspaces as JSON')
+  .option('--format <template>', 'Print one line per workspace, e.g. "{name}\\t{status}" (see tx get for fields)')
+  .option('-g, --group <group>', 'Only list workspaces in this group')
   .action(async (options) => {
-    const workspaces = await getWorkspaces();
+    const sessions = await listSessions();
+    const inGroup = config => !options.group || Boolean(config?.groups?.includes(options.group));
 
-    if (workspaces.length === 0) {
-      console.log(chalk.yellow('No workspaces found'));
+    if (options.json || options.format) {
+      const entries = (await collectWorkspaces(sessions)).filter(entry => !options.group || entry.groups.includes(options.group));
+      if (options.json) console.log(JSON.stringify(entries, null, 2));
+      else entries.forEach(entry => console.log(formatTemplate(options.format, entry)));
+      return;
+    }
+    const runningMark = config => (sessions.has(sessionName(config)) ? chalk.green('● ') : chalk.gray('○ '));
+    const groupTags = config => (config?.groups?.length ? chalk.yellow(` ${config.groups.map(group => `#${group}`).join(' ')}`) : '');
+
+    const workspaces = [];
+    for (const ws of await getWorkspaces()) {
+      if (!options.group || inGroup(await loadConfig(ws).catch(() => null))) workspaces.push(ws);
+    }
+
+    // 현재 디렉토리의 프로젝트 워크스페이스
+    const projectFile = findProjectFile();
+    let projectConfig = projectFile ? await loadProjectConfig(projectFile).catch(() => null) : null;
+    if (!inGroup(projectConfig)) projectConfig = null;
+
+    if (workspaces.length === 0 && !projectConfig) {
+      console.log(chalk.yellow(options.group ? `No workspaces in group "${options.group}"` : 'No workspaces found'));
       return;
     }
 
-    // Interactive mode (기본값)
-    if (options.interactive !== false) {
+    // Interactive mode (터미널에서는 기본값)
+    if (options.interactive ?? (process.stdin.isTTY && process.stdout.isTTY)) {
+      requireTTY('use --no-interactive, --json or --format');
       console.log(chalk.blue.bold('\n📋 Available workspaces\n'));
 
       const choices = [];
+
+      if (projectConfig) {
+        choices.push(new inquirer.Separator(chalk.yellow('── Project ──')));
+        choices.push({
+          name: `${runningMark(projectConfig)}${chalk.magenta(projectConfig.name)}${groupTags(projectConfig)} ${chalk.gray(`(${projectConfig.windows.length} windows, ${countPanes(projectConfig)} panes) - ${projectFile}`)}`,
+          value: { project: projectConfig },
+          short: projectConfig.name
+        });
+        choices.push(new inquirer.Separator(chalk.yellow('── Global ──')));
+      }
+
       for (const ws of workspaces) {
-        const config = await loadConfig(ws);
+        const config = await loadConfig(ws).catch(() => null);
         if (config) {
           choices.push({
-            name: `${chalk.cyan(ws)} ${chalk.gray(`(${config.panes.length} panes) - ${config.baseDir}`)}`,
+            name: `${runningMark(config)}${chalk.cyan(ws)}${groupTags(config)} ${chalk.gray(`(${config.windows.length} windows, ${countPanes(config)} panes) - ${config.baseDir}`)}`,
             value: ws,
             short: ws
           });
         } else {
           choices.push({
-            name: chalk.cyan(ws),
+            name: `${runningMark({ name: ws })}${chalk.cyan(ws)}`,
             value: ws,
             short: ws
           });
         }
       }
 
-      choices.push(new inquirer.Separator());
-      choices.push({
-        name: chalk.gray('Cancel'),
-        value: null
-      });
+      choices.push(new inquirer.Separator());
+      choices.push({
+        name: chalk.gray('Cancel'),
+        value: null
+      });
+
+      const answer = await inquirer.prompt([
+        {
+          type: 'list',
+          name: 'workspace',
+          message: 'Select workspace to load:',
+          choices,
+          pageSize: 15
+        }
+      ]);
+
+      try {
+        if (answer.workspace?.project) {
+          await recordUsage(projectFile);
+          console.log(chalk.green(`\n🚀 Loading ${answer.workspace.project.name}...\n`));
+          await loadWorkspace(answer.workspace.project);
+        } else if (answer.workspace) {
+          const script = path.join(SCRIPT_DIR, `${answer.workspace}.sh`);
+          const config = await loadConfig(answer.workspace);
+          await recordUsage(answer.workspace);
+          console.log(chalk.green(`\n🚀 Loading ${answer.workspace}...\n`));
+          if (config && loadsFromConfig(config)) await loadWorkspace(config);
+          else if (config?.hooks) await loadWorkspace(config, { scriptPath: script });
+          else spawn('bash', [script], { stdio: 'inherit' });
+        } else {
+          console.log(chalk.yellow('Cancelled'));
+        }
+      } catch (err) {
+        console.error(chalk.red(`❌ Failed to load: ${err.message}`));
+        process.exit(1);
+      }
+    }
+    // Plain list mode (--no-interactive)
+    else {
+      console.log(chalk.blue.bold('\n📋 Available workspaces:\n'));
+      if (projectConfig) {
+        console.log(chalk.white(`  ${runningMark(projectConfig)}${chalk.magenta(projectConfig.name)}${groupTags(projectConfig)} ${chalk.gray(`(project, ${projectConfig.windows.length} windows, ${countPanes(projectConfig)} panes)`)}`));
+        console.log(chalk.gray(`      ${projectFile}`));
+      }
+      for (const ws of workspaces) {
+        const config = await loadConfig(ws).catch(() => null);
+        if (config) {
+          console.log(chalk.white(`  ${runningMark(config)}${chalk.cyan(ws)}${groupTags(config)} ${chalk.gray(`(${config.windows.length} windows, ${countPanes(config)} panes)`)}`));
+          console.log(chalk.gray(`      ${config.baseDir}`));
+        } else {
+          console.log(chalk.white(`  ${runningMark({ name: ws })}${chalk.cyan(ws)}`));
+        }
+      }
+      console.log();
+    }
+  });
+
+// GET 명령어
+program
+  .command('get [workspace]')
+  .description('Print a workspace config with its running status and last-used time as JSON (default: the project workspace)')
+  .option('--format <template>', 'Print a template instead, e.g. "{session} {status}"')
+  .action(async (workspace, options) => {
+    const sessions = await listSessions();
+    const usage = await readUsage();
+    let config;
+    let file = null;
+
+    if (workspace) {
+      config = await loadConfig(workspace);
+    } else {
+      file = findProjectFile();
+      config = file && await loadProjectConfig(file);
+    }
+
+    if (!config) {
+      console.error(chalk.red(workspace ? `❌ Workspace config "${workspace}" not found` : '❌ No workspace given and no project workspace found'));
+      process.exit(1);
+    }
+
+    const info = workspaceInfo(workspace || config.name, config, { sessions, usage, file });
+    if (options.format) {
+      console.log(formatTemplate(options.format, info));
+      return;
+    }
+
+    const { projectDir, ...stored } = config;
+    console.log(JSON.stringify({ ...info, config: stored }, null, 2));
+  });
+
+// STATUS 명령어
+program
+  .command('status')
+  .description('Show which workspaces are running')
+  .action(async () => {
+    const workspaces = await getWorkspaces();
+    const sessions = await listSessions();
+
+    const projectFile = findProjectFile();
+    const projectConfig = projectFile ? await loadProjectConfig(projectFile).catch(() => null) : null;
+
+    if (workspaces.length === 0 && !projectConfig) {
+      console.log(chalk.yellow('No workspaces found'));
+      return;
+    }
+
+    const entries = [];
+    if (projectConfig) entries.push({ name: projectConfig.name, config: projectConfig, project: true });
+    for (const ws of workspaces) {
+      entries.push({ name: ws, config: await loadConfig(ws).catch(() => null) });
+    }
+
+    console.log(chalk.blue.bold('\n📊 Workspace status\n'));
+
+    const width = Math.max(...entries.map(entry => entry.name.length));
+    for (const entry of entries) {
+      const session = entry.config ? sessionName(entry.config) : entry.name;
+      const info = sessions.get(session);
+      const label = entry.project ? chalk.magenta(entry.name.padEnd(width)) : chalk.cyan(entry.name.padEnd(width));
+
+      if (info) {
+        const clients = info.attached === 1 ? '1 client attached' : `${info.attached} clients attached`;
+        console.log(`  ${chalk.green('●')} ${label}  ${chalk.green('running')}  ${chalk.gray(`${info.windows} windows, ${info.panes} panes, ${clients}`)}`);
+
+        // 재시작 정책으로 다시 시작된 패널
+        const restarts = await paneRestarts(session).catch(() => new Map());
+        for (const [position, { restarts: count, gaveUp }] of restarts) {
+          const [w, i] = position.split('.').map(Number);
+          const where = entry.config?.windows[w]?.panes[i] ? panePath(entry.config, position) : position;
+          const times = count === 1 ? '1 time' : `${count} times`;
+          const message = `${''.padEnd(width)}  ↻ ${where} restarted ${times}${gaveUp ? ', gave up' : ''}`;
+          console.log(`    ${gaveUp ? chalk.red(message) : chalk.yellow(message)}`);
+        }
+      } else {
+        console.log(`  ${chalk.gray('○')} ${label}  ${chalk.gray('stopped')}`);
+      }
+    }
+    console.log();
+  });
+
+// STOP 명령어
+program
+  .command('stop [workspace]')
+  .description('Stop a running workspace session (runs pane stop commands first)')
+  .option('-a, --all', 'Stop all running workspaces')
+  .option('-g, --group <group>', 'Stop every running workspace in the group')
+  .option('-t, --timeout <seconds>', 'How long to wait for pane stop commands', '10')
+  .action(async (workspace, options) => {
+    const timeoutMs = Number(options.timeout) * 1000;
+    const sessions = await listSessions();
+    const targets = [];
+
+    if (options.all) {
+      for (const ws of await getWorkspaces()) {
+        targets.push((await loadConfig(ws).catch(() => null)) || { name: ws, windows: [] });
+      }
+    } else if (options.group) {
+      targets.push(...await groupMembers(options.group));
+    } else if (workspace) {
+      targets.push((await loadConfig(workspace).catch(() => null)) || { name: workspace, windows: [] });
+    } else {
+      // 인자가 없으면 현재 디렉토리의 프로젝트 워크스페이스
+      const projectFile = findProjectFile();
+      if (!projectFile) {
+        console.error(chalk.red('❌ Specify a workspace or use --all / --group'));
+        process.exit(1);
+      }
+      targets.push(await loadProjectConfig(projectFile));
+    }
+
+    const running = targets.filter(config => sessions.has(sessionName(config)));
+
+    if (running.length === 0) {
+      console.log(chalk.yellow(workspace ? `Workspace "${workspace}" is not running` : `No running workspaces${options.group ? ` in group "${options.group}"` : ''}`));
+      return;
+    }
+
+    for (const config of running) {
+      try {
+        const timedOut = await stopWorkspace(config, timeoutMs);
+        timedOut.forEach(pane => console.log(chalk.yellow(`⚠️  Stop command in ${config.name}:${pane} did not finish in time`)));
+        console.log(chalk.green(`✅ Workspace "${config.name}" stopped`));
+      } catch (err) {
+        console.error(chalk.red(`❌ Workspace "${config.name}": ${err.message}`));
+        process.exitCode = 1;
+      }
+    }
+  });
+
+// SEND 명령어
+program
+  .command('send <workspace> <pane> <command...>')
+  .description('Send a command to a pane of a running workspace (pane: name, window.pane or index)')
+  .option('--no-enter', 'Type the command without pressing Enter')
+  .action(async (workspace, paneRef, command, options) => {
+    const config = await loadConfig(workspace);
+
+    if (!config) {
+      console.error(chalk.red(`❌ Workspace "${workspace}" not found`));
+      process.exit(1);
+    }
+
+    const { windowIndex, paneIndex } = findPane(config, paneRef);
+    const session = sessionName(config);
+
+    if (!(await hasSession(session))) {
+      console.error(chalk.red(`❌ Workspace "${workspace}" is not running`));
+      console.log(chalk.gray(`Run: ${chalk.white(`tx load ${workspace}`)}`));
+      process.exit(1);
+    }
+
+    const win = config.windows[windowIndex];
+    const label = `${win.name}.${win.panes[paneIndex].name || paneIndex}`;
+    const paneId = (await listSessionPanes(session)).get(`${windowIndex}.${paneIndex}`);
+
+    if (!paneId) {
+      console.error(chalk.red(`❌ Pane ${label} is not open in the running session`));
+      process.exit(1);
+    }
+
+    await runTmux(['send-keys', '-t', paneId, '-l', tmuxArg(command.join(' '))]);
+    if (options.enter) await runTmux(['send-keys', '-t', paneId, 'C-m']);
+
+    console.log(chalk.green(`✅ Sent to ${label}`));
+  });
+
+// DOCTOR 명령어
+program
+  .command('doctor')
+  .description('Check tmux, the editor and all workspaces for problems')
+  .option('--fix', 'Regenerate missing or outdated scripts and adopt configs where safe')
+  .action(async (options) => {
+    const icons = {
+      ok: chalk.green('✅'),
+      fixed: chalk.green('🔧'),
+      warning: chalk.yellow('⚠️ '),
+      error: chalk.red('❌')
+    };
+    const counts = { error: 0, warning: 0, fixed: 0 };
+    const report = (level, message) => {
+      if (counts[level] !== undefined) counts[level]++;
+      console.log(`  ${icons[level]} ${message.replace(/\n/g, '\n     ')}`);
+    };
+
+    console.log(chalk.blue.bold('\n🩺 tx doctor\n'));
+    console.log(chalk.cyan('Environment'));
+
+    // tmux 설치 및 버전 (new-session -e 는 3.2 이상)
+    let tmuxVersion = null;
+    try {
+      tmuxVersion = await new Promise((resolve, reject) => {
+        const proc = spawn('tmux', ['-V'], { stdio: ['ignore', 'pipe', 'ignore'] });
+        let stdout = '';
+        proc.stdout.on('data', (data) => { stdout += data; });
+        proc.on('exit', () => resolve(stdout.trim()));
+        proc.on('error', reject);
+      });
+    } catch {
+      report('error', 'tmux is not installed or not in PATH');
+    }
+
+    if (tmuxVersion) {
+      const match = /(\d+)\.(\d+)/.exec(tmuxVersion);
+      if (match && (Number(match[1]) < 3 || (Number(match[1]) === 3 && Number(match[2]) < 2))) {
+        report('warning', `${tmuxVersion} (3.2 or newer is needed for workspace environment variables)`);
+      } else {
+        report('ok', tmuxVersion);
+      }
+    }
+
+    const editor = process.env.EDITOR;
+    if (!editor) {
+      report('warning', 'EDITOR is not set (vim will be used)');
+    } else if (!findExecutable(editor.split(' ')[0])) {
+      report('error', `EDITOR "${editor}" was not found in PATH`);
+    } else {
+      report('ok', `EDITOR: ${editor}`);
+    }
+
+    // 스크립트와 설정 짝 맞추기
+    const scripts = await getWorkspaces();
+    const configs = await getConfigNames();
+    const names = [...new Set([...scripts, ...configs])].sort();
+    const sessions = await listSessions();
 
-      const answer = await inquirer.prompt([
-        {
-          type: 'list',
-          name: 'workspace',
-          message: 'Select workspace to load:',
-          choices,
-          pageSize: 15
-        }
-      ]);
+    console.log(chalk.cyan('\nWorkspaces'));
+
+    if (names.length === 0) {
+      console.log(chalk.gray('  (none)'));
+    }
+
+    for (const name of names) {
+      const problems = await checkWorkspace(name, {
+        hasScript: scripts.includes(name),
+        hasConfig: configs.includes(name),
+        fix: options.fix,
+        sessions
+      });
 
-      if (answer.workspace) {
-        const script = path.join(SCRIPT_DIR, `${answer.workspace}.sh`);
-        console.log(chalk.green(`\n🚀 Loading ${answer.workspace}...\n`));
-        spawn('bash', [script], { stdio: 'inherit' });
+      if (problems.length === 0) {
+        report('ok', name);
       } else {
-        console.log(chalk.yellow('Cancelled'));
+        problems.forEach(problem => report(problem.level, `${name}: ${problem.message}`));
       }
     }
-    // Plain list mode (--no-interactive)
-    else {
-      console.log(chalk.blue.bold('\n📋 Available workspaces:\n'));
-      for (const ws of workspaces) {
-        const config = await loadConfig(ws);
-        if (config) {
-          console.log(chalk.white(`  ${chalk.cyan(ws)} ${chalk.gray(`(${config.panes.length} panes)`)}`));
-          console.log(chalk.gray(`    ${config.baseDir}`));
-        } else {
-          console.log(chalk.white(`  ${chalk.cyan(ws)}`));
-        }
+
+    // 현재 디렉토리의 프로젝트 워크스페이스
+    const projectFile = findProjectFile();
+    if (projectFile) {
+      console.log(chalk.cyan('\nProject'));
+      try {
+        const rendered = renderConfig(await loadProjectConfig(projectFile));
+        const missing = [rendered.baseDir, ...rendered.windows.flatMap(win => win.panes.map(pane => pane.directory))]
+          .filter(dir => dir && !existsSync(dir));
+        if (missing.length > 0) missing.forEach(dir => report('error', `${projectFile}: directory does not exist: ${dir}`));
+        else report('ok', projectFile);
+      } catch (err) {
+        report('error', `${projectFile}: ${err.message}`);
       }
+    }
+
+    console.log();
+    if (counts.error === 0 && counts.warning === 0) {
+      console.log(chalk.green.bold(`✅ No problems found${counts.fixed ? ` (${counts.fixed} fixed)` : ''}\n`));
+    } else {
+      console.log(chalk.yellow(`${counts.error} errors, ${counts.warning} warnings${counts.fixed ? `, ${counts.fixed} fixed` : ''}`));
+      if (!options.fix && counts.warning > 0) console.log(chalk.gray(`Run: ${chalk.white('tx doctor --fix')}`));
       console.log();
     }
+
+    if (counts.error > 0) process.exitCode = 1;
   });
 
 // EDIT 명령어
 program
   .command('edit <workspace>')
-  .description('Edit workspace configuration')
-  .action(async (workspace) => {
+  .description('Edit workspace configuration (interactively, or with the options below)')
+  .option('--add-pane <spec>', 'Add a pane: "[v|h:]command[:size%]" (repeatable)', collect, [])
+  .option('-w, --window <window>', 'Window (name or index) that --add-pane adds to (default: first window)')
+  .option('--remove-pane <pane>', 'Remove a pane by name, index or window.pane (repeatable)', collect, [])
+  .option('--set <path=value>', 'Set a config field, e.g. windows[0].panes[1].command="npm start" (repeatable)', collect, [])
+  .option('--set-json <path=json>', 'Set a config field to a JSON value (repeatable)', collect, [])
+  .option('--unset <path>', 'Remove a config field (repeatable)', collect, [])
+  .action(async (workspace, options) => {
     const config = await loadConfig(workspace);
 
     if (!config) {
@@ -594,10 +4774,53 @@ program
       process.exit(1);
     }
 
+    // 옵션이 있으면 프롬프트 없이 적용하고 저장 (스크립트용)
+    if (options.addPane.length > 0 || options.removePane.length > 0 || options.set.length > 0
+      || options.setJson.length > 0 || options.unset.length > 0) {
+      // 삭제할 패널을 모두 먼저 찾고, 번호가 밀리지 않도록 뒤에서부터 삭제
+      const removals = options.removePane
+        .map(ref => findPane(config, ref))
+        .sort((a, b) => b.windowIndex - a.windowIndex || b.paneIndex - a.paneIndex);
+      for (const { windowIndex, paneIndex } of removals) {
+        const win = config.windows[windowIndex];
+        if (win.panes.length === 1) {
+          throw new Error(`Cannot remove the only pane of window "${win.name}"`);
+        }
+        removePane(win, paneIndex);
+        dropLayoutString(win);
+      }
+
+      if (options.addPane.length > 0) {
+        const ref = options.window ?? '0';
+        const windowIndex = /^\d+$/.test(ref) ? Number(ref) : config.windows.findIndex(win => win.name === ref);
+        const win = config.windows[windowIndex];
+        if (!win) throw new Error(`No window "${ref}" in workspace "${workspace}"`);
+        for (const spec of options.addPane) {
+          win.panes.push(parsePaneSpec(spec, win.panes.length));
+        }
+        dropLayoutString(win);
+      }
+
+      applySetOptions(config, options);
+
+      await saveScript(workspace, config);
+      await saveConfig(workspace, config);
+      console.log(chalk.green(`✅ Workspace "${workspace}" updated`));
+      return;
+    }
+
+    requireTTY('use --add-pane, --remove-pane or --set to edit without prompts');
+
+    if (await isScriptDrifted(workspace, config)) {
+      console.log(chalk.yellow(`\n⚠️  ${workspace}.sh was changed outside tx edit; "Save and exit" will regenerate it from the config`));
+    }
+
     let editing = true;
 
     while (editing) {
       console.log(chalk.blue.bold(`\n✏️  Edit workspace: ${workspace}\n`));
+      printConfigSummary(config);
+      console.log();
 
       const editChoice = await inquirer.prompt([
         {
@@ -606,13 +4829,25 @@ program
           message: 'What do you want to edit?',
           choices: [
             'Base directory',
+            'Groups',
+            'Variables',
+            'Environment',
+            'Hooks',
+            'Layout',
             'Add pane',
             'Edit pane',
             'Remove pane',
+            'Add window',
+            'Rename window',
+            'Move window',
+            'Remove window',
+            'Preview script',
+            'Preview layout',
             'Edit script directly',
             'Save and exit',
             'Cancel'
-          ]
+          ],
+          pageSize: 15
         }
       ]);
 
@@ -630,13 +4865,56 @@ program
       }
 
       if (editChoice.action === 'Save and exit') {
-        const script = generateScript(config);
-        await writeFile(path.join(SCRIPT_DIR, `${workspace}.sh`), script);
+        try {
+          await saveScript(workspace, config);
+        } catch (err) {
+          console.error(chalk.red(`\n❌ ${err.message}`));
+          continue;
+        }
         await saveConfig(workspace, config);
         console.log(chalk.green(`\n✅ Workspace "${workspace}" updated!\n`));
         return;
       }
 
+      if (editChoice.action === 'Groups') {
+        await editGroups(config);
+        continue;
+      }
+
+      if (editChoice.action === 'Variables') {
+        await editVariables(config);
+        continue;
+      }
+
+      if (editChoice.action === 'Environment') {
+        await editWorkspaceEnv(config);
+        continue;
+      }
+
+      if (editChoice.action === 'Preview layout') {
+        await previewLayout(config);
+        continue;
+      }
+
+      if (editChoice.action === 'Preview script') {
+        try {
+          await previewScript(config);
+        } catch (err) {
+          console.error(chalk.red(`\n❌ ${err.message}`));
+        }
+        continue;
+      }
+
+      if (editChoice.action === 'Layout') {
+        await editLayout(config);
+        continue;
+      }
+
+      if (editChoice.action === 'Hooks') {
+        await editHooks(config);
+        continue;
+      }
+
       if (editChoice.action === 'Edit script directly') {
         try {
           await openEditor(path.join(SCRIPT_DIR, `${workspace}.sh`));
@@ -659,240 +4937,124 @@ program
         config.baseDir = answer.baseDir;
       }
 
-      else if (editChoice.action === 'Add pane') {
-        const paneIndex = config.panes.length;
-
-        const splitChoice = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'split',
-            message: `Pane ${paneIndex} - Split direction:`,
-            choices: ['horizontal', 'vertical', new inquirer.Separator(), '← Cancel']
-          }
-        ]);
-
-        if (splitChoice.split === '← Cancel') continue;
-
-        const paneDetails = await inquirer.prompt([
-          {
-            type: 'input',
-            name: 'directory',
-            message: `Pane ${paneIndex} - Directory (leave empty for base dir):`,
-            default: ''
-          },
-          {
-            type: 'input',
-            name: 'command',
-            message: `Pane ${paneIndex} - Command to run:`,
-            default: ''
-          },
-          {
-            type: 'confirm',
-            name: 'needResize',
-            message: `Pane ${paneIndex} - Need custom size?`,
-            default: false
-          }
-        ]);
+      else if (editChoice.action.endsWith(' pane')) {
+        await managePanes(config, editChoice.action.split(' ')[0].toLowerCase());
+      }
 
-        let resize = null;
-        if (paneDetails.needResize) {
-          const resizeConfig = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'type',
-              message: 'Resize by:',
-              choices: ['width', 'height', new inquirer.Separator(), '← Skip']
-            }
-          ]);
-
-          if (resizeConfig.type !== '← Skip') {
-            const sizeValue = await inquirer.prompt([
-              {
-                type: 'number',
-                name: 'value',
-                message: 'Size (lines or columns):',
-                default: 10
-              }
-            ]);
-            resize = { type: resizeConfig.type, value: sizeValue.value };
-          }
+      else if (editChoice.action.endsWith(' window')) {
+        if (editChoice.action === 'Move window' && config.windows.length === 1) {
+          console.log(chalk.yellow('\nOnly one window'));
+          continue;
         }
+        await manageWindows(config, editChoice.action.split(' ')[0].toLowerCase());
+      }
+    }
+  });
 
-        config.panes.push({
-          split: splitChoice.split,
-          directory: paneDetails.directory || null,
-          command: paneDetails.command,
-          resize
-        });
+// CLONE 명령어
+program
+  .command('clone <workspace> <newname>')
+  .alias('cp')
+  .description('Copy a workspace under a new name')
+  .option('--dir <dir>', 'Base directory of the copy (default: same as the original)')
+  .action(async (workspace, newname, options) => {
+    const config = await loadConfig(workspace);
 
-        console.log(chalk.green(`\n✅ Pane ${paneIndex} added`));
-      }
+    if (!config) {
+      console.error(chalk.red(`❌ Workspace "${workspace}" not found`));
+      process.exit(1);
+    }
 
-      else if (editChoice.action === 'Edit pane') {
-        const paneChoices = config.panes.map((p, i) => ({
-          name: `Pane ${i}: ${p.command || '(no command)'}`,
-          value: i
-        }));
+    const nameCheck = validateWorkspaceName(newname);
+    if (nameCheck !== true) throw new Error(nameCheck);
+    if (existsSync(path.join(SCRIPT_DIR, `${newname}.sh`)) || existsSync(path.join(CONFIG_DIR, `${newname}.json`))) {
+      throw new Error(`Workspace "${newname}" already exists`);
+    }
 
-        paneChoices.push(new inquirer.Separator());
-        paneChoices.push({ name: '← Cancel', value: null });
+    config.name = newname;
+    if (options.dir) config.baseDir = path.resolve(options.dir);
 
-        const paneSelect = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'paneIndex',
-            message: 'Which pane to edit?',
-            choices: paneChoices
-          }
-        ]);
+    await saveScript(newname, config);
+    await saveConfig(newname, config, `cloned from ${workspace}`);
 
-        if (paneSelect.paneIndex === null) continue;
-
-        const paneIndex = paneSelect.paneIndex;
-        const pane = config.panes[paneIndex];
-
-        // Pane 편집 루프
-        let editingPane = true;
-        while (editingPane) {
-          // Pane 0는 command, resize만, 나머지는 split, directory, command, resize
-          const fieldChoices = paneIndex === 0
-            ? [
-                { name: `Command: ${pane.command || '(none)'}`, value: 'command' },
-                { name: `Resize: ${pane.resize ? `${pane.resize.type} ${pane.resize.value}` : '(none)'}`, value: 'resize' },
-                new inquirer.Separator(),
-                { name: '← Done', value: 'done' }
-              ]
-            : [
-                { name: `Split: ${pane.split}`, value: 'split' },
-                { name: `Directory: ${pane.directory || '(base)'}`, value: 'directory' },
-                { name: `Command: ${pane.command || '(none)'}`, value: 'command' },
-                { name: `Resize: ${pane.resize ? `${pane.resize.type} ${pane.resize.value}` : '(none)'}`, value: 'resize' },
-                new inquirer.Separator(),
-                { name: '← Done', value: 'done' }
-              ];
-
-          const editPaneChoice = await inquirer.prompt([
-            {
-              type: 'list',
-              name: 'field',
-              message: `Edit Pane ${paneIndex}:`,
-              choices: fieldChoices
-            }
-          ]);
-
-          if (editPaneChoice.field === 'done') {
-            editingPane = false;
-            break;
-          }
+    console.log(chalk.green(`✅ Workspace "${workspace}" copied to "${newname}"`));
+  });
 
-          if (editPaneChoice.field === 'command') {
-            const answer = await inquirer.prompt([
-              {
-                type: 'input',
-                name: 'command',
-                message: 'Command:',
-                default: pane.command
-              }
-            ]);
-            pane.command = answer.command;
-          }
-          else if (editPaneChoice.field === 'split') {
-            const answer = await inquirer.prompt([
-              {
-                type: 'list',
-                name: 'split',
-                message: 'Split direction:',
-                choices: ['horizontal', 'vertical', new inquirer.Separator(), '← Cancel'],
-                default: pane.split
-              }
-            ]);
-            if (answer.split !== '← Cancel') {
-              pane.split = answer.split;
-            }
-          }
-          else if (editPaneChoice.field === 'directory') {
-            const answer = await inquirer.prompt([
-              {
-                type: 'input',
-                name: 'directory',
-                message: 'Directory (empty = base):',
-                default: pane.directory || ''
-              }
-            ]);
-            pane.directory = answer.directory || null;
-          }
-          else if (editPaneChoice.field === 'resize') {
-            const resizeTypeChoice = await inquirer.prompt([
-              {
-                type: 'list',
-                name: 'type',
-                message: 'Resize by:',
-                choices: ['width', 'height', new inquirer.Separator(), 'Disable', '← Cancel'],
-                default: pane.resize?.type || 'width'
-              }
-            ]);
-
-            if (resizeTypeChoice.type === '← Cancel') {
-              // Do nothing
-            } else if (resizeTypeChoice.type === 'Disable') {
-              pane.resize = null;
-            } else {
-              const sizeValue = await inquirer.prompt([
-                {
-                  type: 'number',
-                  name: 'value',
-                  message: 'Size (lines or columns):',
-                  default: pane.resize?.value || 10
-                }
-              ]);
-              pane.resize = { type: resizeTypeChoice.type, value: sizeValue.value };
-            }
-          }
-        }
+// TEMPLATE 명령어
+const templateCommand = program
+  .command('template')
+  .description('Manage workspace templates (used with tx create --template)');
+
+templateCommand
+  .command('list')
+  .alias('ls')
+  .description('List built-in and saved templates')
+  .action(async () => {
+    const templates = await listTemplates();
 
-        console.log(chalk.green(`\n✅ Pane ${paneIndex} updated`));
+    console.log(chalk.blue.bold('\n📐 Templates\n'));
+    for (const template of templates) {
+      if (template.error) {
+        console.log(`  ${chalk.red(template.name)} ${chalk.red(`(invalid: ${template.error})`)}`);
+        continue;
       }
+      const vars = Object.keys(template.config.vars || {});
+      const origin = template.builtin ? chalk.gray(' (built-in)') : '';
+      console.log(`  ${chalk.cyan(template.name)}${origin} ${template.description}`);
+      if (vars.length > 0) console.log(chalk.gray(`      variables: ${vars.join(', ')}`));
+    }
+    console.log(chalk.gray(`\nUse: tx create <name> --template <template>\n`));
+  });
 
-      else if (editChoice.action === 'Remove pane') {
-        if (config.panes.length === 1) {
-          console.log(chalk.red('\n❌ Cannot remove the last pane'));
-          continue;
-        }
+templateCommand
+  .command('show <template>')
+  .description('Print a template')
+  .action(async (name) => {
+    const template = await loadTemplate(name);
+    console.log(JSON.stringify({ description: template.description, config: template.config }, null, 2));
+  });
 
-        const paneChoices = config.panes.map((p, i) => ({
-          name: `Pane ${i}: ${p.command || '(no command)'}`,
-          value: i
-        })).filter((_, i) => i > 0); // Pane 0은 삭제 불가
+templateCommand
+  .command('save <workspace> <template>')
+  .description('Save a workspace as a template (without its name and base directory)')
+  .option('--description <text>', 'Description shown in tx template list')
+  .option('-f, --force', 'Overwrite an existing template')
+  .action(async (workspace, name, options) => {
+    const config = await loadConfig(workspace);
 
-        paneChoices.push(new inquirer.Separator());
-        paneChoices.push({ name: '← Cancel', value: null });
+    if (!config) {
+      console.error(chalk.red(`❌ Workspace "${workspace}" not found`));
+      process.exit(1);
+    }
 
-        const paneSelect = await inquirer.prompt([
-          {
-            type: 'list',
-            name: 'paneIndex',
-            message: 'Which pane to remove?',
-            choices: paneChoices
-          }
-        ]);
+    const nameCheck = validateWorkspaceName(name);
+    if (nameCheck !== true) throw new Error(nameCheck);
+    if (existsSync(path.join(TEMPLATE_DIR, `${name}.json`)) && !options.force) {
+      throw new Error(`Template "${name}" already exists (use --force to overwrite)`);
+    }
 
-        if (paneSelect.paneIndex === null) continue;
+    await saveTemplate(name, config, options.description || `Saved from ${workspace}`);
 
-        const confirm = await inquirer.prompt([
-          {
-            type: 'confirm',
-            name: 'sure',
-            message: `Remove pane ${paneSelect.paneIndex}?`,
-            default: false
-          }
-        ]);
+    console.log(chalk.green(`✅ Template "${name}" saved`));
+    if (BUILTIN_TEMPLATES[name]) console.log(chalk.yellow(`⚠️  It replaces the built-in template "${name}"`));
+    if (!config.vars) console.log(chalk.gray('Tip: declare "vars" in the workspace to have values asked for when the template is used'));
+  });
 
-        if (confirm.sure) {
-          config.panes.splice(paneSelect.paneIndex, 1);
-          console.log(chalk.green(`\n✅ Pane ${paneSelect.paneIndex} removed`));
-        }
-      }
+templateCommand
+  .command('delete <template>')
+  .alias('rm')
+  .description('Delete a saved template')
+  .action(async (name) => {
+    const file = path.join(TEMPLATE_DIR, `${name}.json`);
+
+    if (!existsSync(file)) {
+      const reason = BUILTIN_TEMPLATES[name] ? 'is built in and cannot be deleted' : 'not found';
+      console.error(chalk.red(`❌ Template "${name}" ${reason}`));
+      process.exit(1);
     }
+
+    await unlink(file);
+    console.log(chalk.green(`✅ Template "${name}" deleted`));
   });
 
 // RENAME 명령어
@@ -900,7 +5062,8 @@ program
   .command('rename [workspace] [newname]')
   .alias('mv')
   .description('Rename a workspace')
-  .action(async (workspace, newname) => {
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(async (workspace, newname, options) => {
     const workspaces = await getWorkspaces();
 
     if (workspaces.length === 0) {
@@ -908,6 +5071,10 @@ program
       return;
     }
 
+    if (!workspace || !newname || !options.yes) {
+      requireTTY('use tx rename <workspace> <newname> --yes');
+    }
+
     // Interactive mode
     if (!workspace) {
       const answer = await inquirer.prompt([
@@ -935,15 +5102,20 @@ program
           name: 'newname',
           message: 'New name:',
           validate: input => {
-            if (!input || input.length === 0) return 'Name is required';
             if (workspaces.includes(input)) return `Workspace "${input}" already exists`;
-            return true;
+            return validateWorkspaceName(input);
           }
         }
       ]);
       newname = answer.newname;
     }
 
+    const nameCheck = validateWorkspaceName(newname);
+    if (nameCheck !== true) {
+      console.error(chalk.red(`❌ ${nameCheck}`));
+      process.exit(1);
+    }
+
     const newWorkspaceExists = existsSync(path.join(SCRIPT_DIR, `${newname}.sh`));
     if (newWorkspaceExists) {
       console.error(chalk.red(`❌ Workspace "${newname}" already exists`));
@@ -951,19 +5123,21 @@ program
     }
 
     // Confirm
-    console.log(chalk.cyan(`\n${workspace} → ${newname}\n`));
-    const confirm = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'confirmed',
-        message: 'Confirm rename?',
-        default: true
-      }
-    ]);
+    if (!options.yes) {
+      console.log(chalk.cyan(`\n${workspace} → ${newname}\n`));
+      const confirm = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: 'Confirm rename?',
+          default: true
+        }
+      ]);
 
-    if (!confirm.confirmed) {
-      console.log(chalk.yellow('Cancelled'));
-      return;
+      if (!confirm.confirmed) {
+        console.log(chalk.yellow('Cancelled'));
+        return;
+      }
     }
 
     try {
@@ -981,14 +5155,19 @@ program
         path.join(CONFIG_DIR, `${newname}.json`)
       ).catch(() => {});
 
+      await rename(
+        path.join(HISTORY_DIR, workspace),
+        path.join(HISTORY_DIR, newname)
+      ).catch(() => {});
+
       // Regenerate script with new name
-      const script = generateScript(config);
-      await writeFile(path.join(SCRIPT_DIR, `${newname}.sh`), script);
-      await saveConfig(newname, config);
+      await saveScript(newname, config);
+      await saveConfig(newname, config, `renamed from ${workspace}`);
 
       console.log(chalk.green.bold(`\n✅ Workspace renamed successfully!\n`));
     } catch (err) {
       console.error(chalk.red(`❌ Failed to rename: ${err.message}`));
+      process.exitCode = 1;
     }
   });
 
@@ -997,37 +5176,226 @@ program
   .command('delete <workspace>')
   .alias('rm')
   .description('Delete a workspace')
-  .action(async (workspace) => {
-    const confirm = await inquirer.prompt([
-      {
-        type: 'confirm',
-        name: 'confirmed',
-        message: chalk.red(`Delete workspace "${workspace}"?`),
-        default: false
-      }
-    ]);
+  .option('-y, --yes', 'Do not ask for confirmation')
+  .action(async (workspace, options) => {
+    if (!existsSync(path.join(SCRIPT_DIR, `${workspace}.sh`)) && !existsSync(path.join(CONFIG_DIR, `${workspace}.json`))) {
+      console.error(chalk.red(`❌ Workspace "${workspace}" not found`));
+      process.exit(1);
+    }
 
-    if (!confirm.confirmed) {
-      console.log(chalk.yellow('Cancelled'));
-      return;
+    if (!options.yes) {
+      requireTTY(`use tx delete ${workspace} --yes`);
+
+      const confirm = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirmed',
+          message: chalk.red(`Delete workspace "${workspace}"?`),
+          default: false
+        }
+      ]);
+
+      if (!confirm.confirmed) {
+        console.log(chalk.yellow('Cancelled'));
+        return;
+      }
     }
 
     try {
-      await unlink(path.join(SCRIPT_DIR, `${workspace}.sh`));
-      await unlink(path.join(CONFIG_DIR, `${workspace}.json`)).catch(() => {});
+      await moveToTrash(workspace);
       console.log(chalk.green(`✅ Workspace "${workspace}" deleted`));
+      console.log(chalk.gray(`Moved to the trash; restore it with ${chalk.white(`tx undelete ${workspace}`)}`));
     } catch (err) {
       console.error(chalk.red(`❌ Failed to delete: ${err.message}`));
+      process.exitCode = 1;
+    }
+  });
+
+// HISTORY 명령어
+program
+  .command('history <workspace>')
+  .description('List saved versions of a workspace, or compare them')
+  .option('-d, --diff [versions]', 'Show changes: "3" (version 3 → current) or "2..5"; default: previous → current')
+  .option('--show <version>', 'Print the config of a version')
+  .action(async (workspace, options) => {
+    const snapshots = await listSnapshots(workspace);
+
+    if (snapshots.length === 0) {
+      const deleted = (await listTrash()).some(entry => entry.name === workspace);
+      console.error(chalk.red(`❌ No history for "${workspace}"${deleted ? ` (it is in the trash; see tx trash)` : ''}`));
+      process.exit(1);
+    }
+
+    const current = snapshots[snapshots.length - 1];
+
+    if (options.show) {
+      const snapshot = findSnapshot(snapshots, options.show, workspace);
+      console.log(JSON.stringify(snapshot.config, null, 2));
+      return;
+    }
+
+    if (options.diff) {
+      let from;
+      let to = current;
+      if (options.diff === true) {
+        if (snapshots.length < 2) throw new Error(`"${workspace}" has only one version`);
+        from = snapshots[snapshots.length - 2];
+      } else if (options.diff.includes('..')) {
+        const [a, b] = options.diff.split('..');
+        from = findSnapshot(snapshots, a, workspace);
+        to = findSnapshot(snapshots, b || String(current.version), workspace);
+      } else {
+        from = findSnapshot(snapshots, options.diff, workspace);
+      }
+
+      console.log(chalk.blue.bold(`\n🔀 ${workspace}: version ${from.version} → ${to.version}\n`));
+      const before = JSON.stringify(from.config, null, 2);
+      const after = JSON.stringify(to.config, null, 2);
+      console.log(before === after ? chalk.gray('No changes') : diffLines(before, after));
+      console.log();
+      return;
+    }
+
+    console.log(chalk.blue.bold(`\n🕘 History of ${workspace}\n`));
+    const eventWidth = Math.max(...snapshots.map(snapshot => snapshot.event.length));
+    for (const snapshot of snapshots) {
+      const { config } = snapshot;
+      const mark = snapshot === current ? chalk.green(' ← current') : '';
+      console.log(`  ${chalk.cyan(String(snapshot.version).padStart(3))}  ${formatTime(new Date(snapshot.time))}  ${snapshot.event.padEnd(eventWidth)}  ${chalk.gray(`(${config.windows.length} windows, ${countPanes(config)} panes)`)}${mark}`);
+    }
+    console.log(chalk.gray(`\nCompare: tx history ${workspace} --diff <version>   Restore: tx restore ${workspace} <version>\n`));
+  });
+
+// RESTORE 명령어
+program
+  .command('restore <workspace> [version]')
+  .description('Restore a saved version of a workspace (default: the previous version)')
+  .action(async (workspace, version) => {
+    const snapshots = await listSnapshots(workspace);
+
+    if (!existsSync(path.join(CONFIG_DIR, `${workspace}.json`))) {
+      const deleted = (await listTrash()).some(entry => entry.name === workspace);
+      console.error(chalk.red(`❌ Workspace "${workspace}" not found${deleted ? `; use tx undelete ${workspace} first` : ''}`));
+      process.exit(1);
+    }
+
+    let snapshot;
+    if (version) {
+      snapshot = findSnapshot(snapshots, version, workspace);
+    } else {
+      if (snapshots.length < 2) throw new Error(`"${workspace}" has no earlier version`);
+      snapshot = snapshots[snapshots.length - 2];
+    }
+
+    // 다른 이름일 때 만든 버전이어도 현재 이름으로
+    const config = migrateConfig({ ...structuredClone(snapshot.config), name: workspace });
+
+    await saveScript(workspace, config);
+    await saveConfig(workspace, config, `restored v${snapshot.version}`);
+
+    console.log(chalk.green(`✅ Restored "${workspace}" to version ${snapshot.version} (${formatTime(new Date(snapshot.time))})`));
+    if (await hasSession(sessionName(config))) {
+      console.log(chalk.gray('The session is running; stop and load it again to apply the change.'));
+    }
+  });
+
+// TRASH 명령어
+program
+  .command('trash')
+  .description('List deleted workspaces')
+  .option('--empty', 'Permanently remove everything in the trash')
+  .option('-y, --yes', 'Do not ask for confirmation (with --empty)')
+  .action(async (options) => {
+    await purgeTrash();
+    const entries = await listTrash();
+
+    if (entries.length === 0) {
+      console.log(chalk.yellow('The trash is empty'));
+      return;
+    }
+
+    if (options.empty) {
+      if (!options.yes) {
+        requireTTY('use tx trash --empty --yes');
+        const confirm = await inquirer.prompt([
+          {
+            type: 'confirm',
+            name: 'confirmed',
+            message: chalk.red(`Permanently remove ${entries.length} deleted workspace(s)?`),
+            default: false
+          }
+        ]);
+        if (!confirm.confirmed) {
+          console.log(chalk.yellow('Cancelled'));
+          return;
+        }
+      }
+
+      await rm(TRASH_DIR, { recursive: true, force: true });
+      console.log(chalk.green('✅ Trash emptied'));
+      return;
+    }
+
+    console.log(chalk.blue.bold('\n🗑  Deleted workspaces\n'));
+    for (const entry of entries) {
+      const expires = TRASH_DAYS > 0
+        ? `, removed after ${formatTime(new Date(entry.deleted.getTime() + TRASH_DAYS * 24 * 60 * 60 * 1000))}`
+        : '';
+      console.log(`  ${chalk.cyan(entry.name)} ${chalk.gray(`deleted ${formatTime(entry.deleted)}${expires}`)}`);
     }
+    console.log(chalk.gray(`\nRestore: tx undelete <workspace>\n`));
+  });
+
+// UNDELETE 명령어
+program
+  .command('undelete <workspace>')
+  .description('Restore a deleted workspace from the trash')
+  .option('--as <name>', 'Restore under a different name')
+  .action(async (workspace, options) => {
+    const entry = (await listTrash()).find(item => item.name === workspace);
+
+    if (!entry) {
+      console.error(chalk.red(`❌ "${workspace}" is not in the trash`));
+      process.exit(1);
+    }
+
+    const name = options.as || workspace;
+    const nameCheck = validateWorkspaceName(name);
+    if (nameCheck !== true) throw new Error(nameCheck);
+    if (existsSync(path.join(SCRIPT_DIR, `${name}.sh`)) || existsSync(path.join(CONFIG_DIR, `${name}.json`))) {
+      throw new Error(`Workspace "${name}" already exists${options.as ? '' : ' (use --as <name>)'}`);
+    }
+
+    await mkdir(HISTORY_DIR, { recursive: true });
+    await rename(path.join(entry.dir, 'history'), path.join(HISTORY_DIR, name)).catch(() => {});
+    await rename(path.join(entry.dir, `${workspace}.sh`), path.join(SCRIPT_DIR, `${name}.sh`)).catch(() => {});
+    await rename(path.join(entry.dir, `${workspace}.json`), path.join(CONFIG_DIR, `${name}.json`)).catch(() => {});
+    await rm(entry.dir, { recursive: true, force: true });
+
+    // 다른 이름으로 되살리면 설정 이름과 스크립트도 맞춤
+    if (name !== workspace) {
+      const config = await loadConfig(name);
+      if (config) {
+        config.name = name;
+        await saveScript(name, config);
+        await saveConfig(name, config, `restored as ${name}`);
+      }
+    }
+
+    console.log(chalk.green(`✅ Workspace "${name}" restored`));
   });
 
 // CONFIG 명령어
 program
   .command('config [workspace]')
-  .description('Open workspace config in editor')
-  .action(async (workspace) => {
+  .description('Edit a workspace config (JSON) in your editor')
+  .option('--json', 'Edit the JSON config and regenerate the script (default)')
+  .option('--script', 'Edit the generated script instead of the config')
+  .action(async (workspace, options) => {
+    const configPath = workspace && path.join(CONFIG_DIR, `${workspace}.json`);
+    const useScript = options.script || (workspace && !options.json && !existsSync(configPath));
     const target = workspace
-      ? path.join(SCRIPT_DIR, `${workspace}.sh`)
+      ? useScript ? path.join(SCRIPT_DIR, `${workspace}.sh`) : configPath
       : SCRIPT_DIR;
 
     if (workspace && !existsSync(target)) {
@@ -1035,13 +5403,26 @@ program
       process.exit(1);
     }
 
+    requireTTY(workspace && !useScript
+      ? `use tx edit ${workspace} --set / --set-json to change fields without an editor`
+      : `edit ${target} directly`);
+
     try {
+      if (workspace && !useScript) {
+        const result = await editConfigFile(workspace);
+        if (result === 'updated') console.log(chalk.green.bold(`\n✅ Workspace "${workspace}" updated!\n`));
+        else if (result === 'discarded') console.log(chalk.yellow('Edits discarded; the config was not changed'));
+        else console.log(chalk.yellow('No changes'));
+        return;
+      }
+
       await openEditor(target);
       console.log(chalk.green.bold(`\n✅ 변경이 완료되었어요!\n`));
     } catch (err) {
       console.error(chalk.red(`❌ Failed to open editor: ${err.message}`));
       console.log(chalk.yellow(`\nMake sure EDITOR is set correctly. Current: ${process.env.EDITOR || 'not set'}`));
       console.log(chalk.gray(`Try: export EDITOR=vim  or  export EDITOR=nano`));
+      process.exitCode = 1;
     }
   });
 
@@ -1050,4 +5431,10 @@ program
   .description('Interactive tmux workspace manager')
   .version(packageJson.version, '-v, --version', 'Output the current version');
 
-program.parse();
+// 처리되지 않은 에러 (예: 잘못된 설정)는 스택 없이 메시지만 출력
+try {
+  await program.parseAsync();
+} catch (err) {
+  console.error(chalk.red(`❌ ${err.message}`));
+  process.exit(1);
+}